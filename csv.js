@@ -0,0 +1,88 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ *
+ * Fields are separated by the delimiter and may be quoted; a quoted field
+ * can hold delimiters, line breaks and doubled quotes ("").
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text; a trailing line break does not start a new row
+ * @param {Object} options
+ * @param {string} options.delimiter - Field separator (default: comma)
+ * @param {string|false} options.quote - Quote character (default: "), false to read quotes as text
+ * @returns {Array} Rows, each an array of strings
+ * @throws {Error} When a quoted field is not closed
+ */
+function parseCsv(text, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const quote = options.quote === undefined ? '"' : options.quote;
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let i = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (quote && char === quote && field === '') {
+      // Quoted field, up to the next quote that isn't doubled
+      let end = i + 1;
+      for (;;) {
+        end = source.indexOf(quote, end);
+        if (end === -1) {
+          throw new Error(`Unterminated quoted field in row ${rows.length + 1}`);
+        }
+        if (source[end + 1] !== quote) break;
+        end += 2;
+      }
+      field = source.slice(i + 1, end).split(quote + quote).join(quote);
+      i = end + 1;
+      continue;
+    }
+
+    if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && source[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Write rows as CSV, quoting only fields that need it
+ */
+function formatCsv(rows, delimiter = ',') {
+  const needsQuotes = (field) => field.includes(delimiter) || /["\r\n]/.test(field) || /^\s|\s$/.test(field);
+
+  return rows.map(row => row.map(value => {
+    const field = String(value ?? '');
+    return needsQuotes(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(delimiter)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv
+};
@@ -0,0 +1,231 @@
+const { buildDocumentBlocks, getRunsText } = require('./document-blocks');
+const { buildOutline } = require('./document-sections');
+
+// Inline marks from outermost to innermost, with the element each one becomes
+const MARK_TAGS = [
+  ['link', 'a'],
+  ['bold', 'strong'],
+  ['italic', 'em'],
+  ['strikethrough', 'del'],
+  ['underline', 'u'],
+  ['superscript', 'sup'],
+  ['subscript', 'sub'],
+  ['code', 'code']
+];
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;'
+};
+
+/**
+ * Converts a Google Docs API document to semantic HTML
+ *
+ * Unlike Google's own HTML export there are no inline styles or generated
+ * class names: headings get their anchor slug as id, footnotes become a
+ * numbered list at the end, and the only styling hint kept is table
+ * column alignment.
+ */
+class DocsToHtmlConverter {
+  /**
+   * Main conversion method
+   * @param {Object} doc - Google Docs API document object
+   * @param {Array} elements - Structural elements to convert (default: whole body)
+   * @returns {string} Standalone HTML document
+   */
+  convert(doc, elements = doc.body.content) {
+    const { title, blocks, footnotes } = buildDocumentBlocks(doc, elements);
+    this.headings = blocks.filter(block => block.type === 'heading');
+
+    const body = blocks.map(block => this.convertBlock(block)).filter(Boolean);
+
+    if (footnotes.length > 0) {
+      const items = footnotes.map(footnote =>
+        `<li id="fn-${footnote.number}">${this.convertRuns(footnote.runs)} <a href="#fnref-${footnote.number}">↩</a></li>`
+      );
+      body.push(`<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`);
+    }
+
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(title || '')}</title>`,
+      '</head>',
+      '<body>',
+      ...body,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  convertBlock(block) {
+    switch (block.type) {
+      case 'heading': {
+        const id = block.anchor ? ` id="${escapeHtml(block.anchor)}"` : '';
+        // Named heading styles are bold already
+        return `<h${block.level}${id}>${this.convertRuns(block.runs, { bold: false })}</h${block.level}>`;
+      }
+      case 'paragraph':
+        return `<p>${this.convertRuns(block.runs)}</p>`;
+      case 'list':
+        return this.convertList(block);
+      case 'code':
+        return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+      case 'quote':
+        // Quotes are rendered italic as a whole (see MarkdownToDocsConverter.addBlockquote)
+        return `<blockquote>\n${block.blocks.map(child => `<p>${this.convertRuns(child.runs, { italic: false })}</p>`).join('\n')}\n</blockquote>`;
+      case 'table':
+        return this.convertTable(block);
+      case 'rule':
+        return '<hr>';
+      case 'pageBreak':
+        return '<div class="page-break"></div>';
+      case 'toc':
+        return this.convertTableOfContents();
+      default:
+        return '';
+    }
+  }
+
+  convertList(list) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const items = list.items.map(item => {
+      const children = item.children.map(child => '\n' + this.convertList(child)).join('');
+      return `<li>${this.convertRuns(item.runs)}${children}</li>`;
+    });
+
+    return `<${tag}>\n${items.join('\n')}\n</${tag}>`;
+  }
+
+  /**
+   * Table with the first row as header
+   */
+  convertTable(table) {
+    const convertRow = (row, cellTag) => {
+      const cells = row.map((cell, col) => {
+        const alignment = table.alignments[col];
+        const style = alignment ? ` style="text-align: ${alignment}"` : '';
+        return `<${cellTag}${style}>${this.convertCell(cell)}</${cellTag}>`;
+      });
+      return `<tr>${cells.join('')}</tr>`;
+    };
+
+    const lines = ['<table>'];
+    if (table.rows.length > 0) {
+      lines.push('<thead>', convertRow(table.rows[0], 'th'), '</thead>');
+    }
+    if (table.rows.length > 1) {
+      lines.push('<tbody>', ...table.rows.slice(1).map(row => convertRow(row, 'td')), '</tbody>');
+    }
+    lines.push('</table>');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * A single paragraph is written inline; anything else keeps its block markup
+   */
+  convertCell(cell) {
+    if (cell.blocks.length === 1 && cell.blocks[0].type === 'paragraph') {
+      return this.convertRuns(cell.blocks[0].runs);
+    }
+    return cell.blocks.map(block => this.convertBlock(block)).join('');
+  }
+
+  /**
+   * Outline of the exported headings, linked to their ids
+   */
+  convertTableOfContents() {
+    const outline = buildOutline(this.headings.filter(heading => heading.anchor));
+
+    const convertNodes = (nodes) => {
+      const items = nodes.map(node => {
+        const children = node.children.length > 0 ? '\n' + convertNodes(node.children) : '';
+        return `<li><a href="#${escapeHtml(node.anchor)}">${escapeHtml(getRunsText(node.runs))}</a>${children}</li>`;
+      });
+      return `<ul>\n${items.join('\n')}\n</ul>`;
+    };
+
+    return outline.length > 0 ? `<nav class="toc">\n${convertNodes(outline)}\n</nav>` : '';
+  }
+
+  /**
+   * Runs as nested inline elements; open elements are kept across runs
+   * that share them, so a bold phrase stays a single <strong>.
+   * @param {Array} runs - Runs from the block tree
+   * @param {Object} overrides - Marks to force, e.g. { bold: false } for headings
+   */
+  convertRuns(runs, overrides = {}) {
+    const stack = [];
+    let html = '';
+
+    const closeTo = (depth) => {
+      while (stack.length > depth) {
+        html += `</${stack.pop().tag}>`;
+      }
+    };
+
+    for (const run of runs) {
+      if (run.type === 'image') {
+        closeTo(0);
+        html += this.convertImage(run);
+        continue;
+      }
+
+      if (run.type === 'footnoteRef') {
+        closeTo(0);
+        html += `<sup id="fnref-${run.number}"><a href="#fn-${run.number}">${run.number}</a></sup>`;
+        continue;
+      }
+
+      const marks = { ...run, ...overrides };
+      const wanted = MARK_TAGS
+        .filter(([mark]) => marks[mark])
+        .map(([mark, tag]) => ({ tag: tag, value: marks[mark] }));
+
+      let keep = 0;
+      while (keep < stack.length && keep < wanted.length &&
+             stack[keep].tag === wanted[keep].tag && stack[keep].value === wanted[keep].value) {
+        keep++;
+      }
+      closeTo(keep);
+
+      for (const entry of wanted.slice(keep)) {
+        html += entry.tag === 'a' ? `<a href="${escapeHtml(entry.value)}">` : `<${entry.tag}>`;
+        stack.push(entry);
+      }
+
+      html += escapeHtml(run.text).replace(/\n/g, '<br>\n');
+    }
+    closeTo(0);
+
+    return html;
+  }
+
+  convertImage(image) {
+    const attributes = [`src="${escapeHtml(image.src)}"`, `alt="${escapeHtml(image.alt)}"`];
+
+    if (image.title) {
+      attributes.push(`title="${escapeHtml(image.title)}"`);
+    }
+    // CSS pixels are 0.75pt
+    for (const dimension of ['width', 'height']) {
+      if (image[dimension]) {
+        attributes.push(`${dimension}="${Math.round(image[dimension] / 0.75)}"`);
+      }
+    }
+
+    return `<img ${attributes.join(' ')}>`;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+}
+
+module.exports = DocsToHtmlConverter;
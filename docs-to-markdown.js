@@ -0,0 +1,277 @@
+const { buildDocumentBlocks } = require('./document-blocks');
+
+// Inline marks from outermost to innermost; code spans can't contain other marks
+const MARK_ORDER = ['link', 'bold', 'italic', 'strikethrough', 'underline', 'superscript', 'subscript', 'code'];
+
+const HTML_MARKS = {
+  underline: 'u',
+  superscript: 'sup',
+  subscript: 'sub'
+};
+
+const TABLE_ALIGNMENT = {
+  center: ':-:',
+  right: '--:'
+};
+
+/**
+ * Converts a Google Docs API document back to markdown
+ *
+ * The inverse of MarkdownToDocsConverter: headings, inline formatting,
+ * links (heading links become `#slug`), inline code and monospace code
+ * blocks, nested lists, tables, images, footnotes, blockquotes,
+ * horizontal rules and page breaks. Works on the block tree from
+ * document-blocks.js.
+ */
+class DocsToMarkdownConverter {
+  /**
+   * Main conversion method
+   * @param {Object} doc - Google Docs API document object
+   * @param {Array} elements - Structural elements to convert (default: whole body)
+   * @returns {string} Markdown
+   */
+  convert(doc, elements = doc.body.content) {
+    const { blocks, footnotes } = buildDocumentBlocks(doc, elements);
+    const chunks = blocks.map(block => this.convertBlock(block)).filter(Boolean);
+
+    if (footnotes.length > 0) {
+      chunks.push(footnotes
+        .map(footnote => `[^${footnote.number}]: ${this.convertRuns(footnote.runs).replace(/\\\n/g, ' ')}`)
+        .join('\n'));
+    }
+
+    return chunks.length > 0 ? chunks.join('\n\n') + '\n' : '';
+  }
+
+  convertBlock(block) {
+    switch (block.type) {
+      case 'heading':
+        // Named heading styles are bold already; explicit bold runs would only add noise
+        return '#'.repeat(block.level) + ' ' + this.convertRuns(block.runs, { bold: false }).replace(/\\\n/g, ' ');
+      case 'paragraph':
+        return this.escapeLineStart(this.convertRuns(block.runs));
+      case 'list':
+        return this.convertList(block, 0);
+      case 'code':
+        return this.convertCodeBlock(block.text);
+      case 'quote':
+        // Quotes are rendered italic as a whole (see MarkdownToDocsConverter.addBlockquote)
+        return block.blocks
+          .map(child => this.convertRuns(child.runs, { italic: false }))
+          .map(text => text.split('\n').map(line => '> ' + line).join('\n'))
+          .join('\n>\n');
+      case 'table':
+        return this.convertTable(block);
+      case 'rule':
+        return '---';
+      case 'pageBreak':
+        return '<!-- pagebreak -->';
+      case 'toc':
+        return '[TOC]';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Nested lists are indented to line up with their parent item's content
+   */
+  convertList(list, indent) {
+    const lines = [];
+
+    list.items.forEach((item, index) => {
+      const marker = list.ordered ? `${index + 1}. ` : '- ';
+      const contentIndent = indent + marker.length;
+      const text = this.convertRuns(item.runs).split('\n').join('\n' + ' '.repeat(contentIndent));
+
+      lines.push(' '.repeat(indent) + marker + text);
+      for (const child of item.children) {
+        lines.push(this.convertList(child, contentIndent));
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  convertCodeBlock(code) {
+    // The fence has to be longer than any backtick run inside the code
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+    return `${fence}\n${code}\n${fence}`;
+  }
+
+  /**
+   * GFM table; the first row becomes the header
+   */
+  convertTable(table) {
+    if (table.rows.length === 0) return '';
+
+    const cols = table.alignments.length;
+    const formatRow = row => '| ' + row.concat(Array(cols - row.length).fill('')).join(' | ') + ' |';
+    const rows = table.rows.map(row => row.map(cell => this.convertCell(cell)));
+
+    return [
+      formatRow(rows[0]),
+      formatRow(table.alignments.map(alignment => TABLE_ALIGNMENT[alignment] || '---')),
+      ...rows.slice(1).map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * Cell blocks on a single line, separated by <br>
+   */
+  convertCell(cell) {
+    return cell.blocks
+      .map(block => block.runs ? this.convertRuns(block.runs) : this.convertBlock(block))
+      .join('\n')
+      .trim()
+      .replace(/\|/g, '\\|')
+      .replace(/\\?\n/g, '<br>');
+  }
+
+  /**
+   * Convert runs into inline markdown
+   * Formatting marks are opened and closed as the runs change, so a bold
+   * phrase spanning several differently styled runs stays one `**...**`.
+   * @param {Array} runs - Runs from the block tree
+   * @param {Object} overrides - Marks to force, e.g. { bold: false } for headings
+   * @returns {string} Markdown; line breaks are written as `\` + newline
+   */
+  convertRuns(runs, overrides = {}) {
+    const stack = [];
+    let markdown = '';
+
+    const closeTo = (depth) => {
+      // Closing markers go before trailing whitespace: `**bold** next`
+      const trailing = /(?:[ \t]|\\\n)*$/.exec(markdown)[0];
+      markdown = markdown.slice(0, markdown.length - trailing.length);
+      while (stack.length > depth) {
+        markdown += this.closeMark(stack.pop());
+      }
+      markdown += trailing;
+    };
+
+    for (const run of runs) {
+      if (run.type === 'image') {
+        closeTo(0);
+        markdown += this.convertImage(run);
+        continue;
+      }
+
+      if (run.type === 'footnoteRef') {
+        closeTo(0);
+        markdown += `[^${run.number}]`;
+        continue;
+      }
+
+      const marks = { ...run, ...overrides };
+
+      // Whitespace-only runs don't change the formatting around them
+      if (!run.text.trim() && !marks.code) {
+        markdown += run.text.replace(/\n/g, '\\\n');
+        continue;
+      }
+
+      const wanted = MARK_ORDER
+        .filter(mark => marks[mark])
+        .map(mark => ({ mark: mark, value: marks[mark] }));
+
+      // Keep the longest prefix of open marks that this run still has
+      let keep = 0;
+      while (keep < stack.length && keep < wanted.length &&
+             stack[keep].mark === wanted[keep].mark && stack[keep].value === wanted[keep].value) {
+        keep++;
+      }
+      closeTo(keep);
+
+      const leading = marks.code ? '' : /^\s*/.exec(run.text)[0];
+      const trailing = marks.code ? '' : /\s*$/.exec(run.text)[0];
+      const core = run.text.slice(leading.length, run.text.length - trailing.length);
+
+      markdown += leading.replace(/\n/g, '\\\n');
+      for (const entry of wanted.slice(keep)) {
+        markdown += this.openMark(entry, core);
+        stack.push(entry);
+      }
+
+      markdown += marks.code ? core.replace(/\n/g, ' ') : this.escapeText(core).replace(/\n/g, '\\\n');
+      markdown += trailing.replace(/\n/g, '\\\n');
+    }
+    closeTo(0);
+
+    return markdown.trim();
+  }
+
+  openMark(entry, text) {
+    switch (entry.mark) {
+      case 'link':
+        return '[';
+      case 'bold':
+        return '**';
+      case 'italic':
+        return '*';
+      case 'strikethrough':
+        return '~~';
+      case 'code':
+        entry.fence = text.includes('`') ? '`` ' : '`';
+        return entry.fence;
+      default:
+        return `<${HTML_MARKS[entry.mark]}>`;
+    }
+  }
+
+  closeMark(entry) {
+    switch (entry.mark) {
+      case 'link':
+        return `](${entry.value.replace(/[()\s]/g, encodeURIComponent)})`;
+      case 'bold':
+        return '**';
+      case 'italic':
+        return '*';
+      case 'strikethrough':
+        return '~~';
+      case 'code':
+        return entry.fence === '`' ? '`' : ' ``';
+      default:
+        return `</${HTML_MARKS[entry.mark]}>`;
+    }
+  }
+
+  /**
+   * Image markdown with its size as a hint the markdown converter reads back
+   */
+  convertImage(image) {
+    const alt = image.alt.replace(/[[\]]/g, '\\$&');
+    const title = image.title ? ` "${image.title.replace(/"/g, '\\"')}"` : '';
+
+    const size = [];
+    for (const dimension of ['width', 'height']) {
+      if (image[dimension]) {
+        size.push(`${dimension}=${image[dimension]}pt`);
+      }
+    }
+
+    return `![${alt}](${image.src}${title})` + (size.length > 0 ? `{${size.join(' ')}}` : '');
+  }
+
+  escapeText(text) {
+    return text
+      .replace(/[\\`*[\]~]/g, '\\$&')
+      .replace(/<(?=[A-Za-z/!])/g, '\\<')
+      // Intraword underscores (snake_case) are not emphasis
+      .replace(/_/g, (match, offset, string) =>
+        /\w/.test(string[offset - 1] || '') && /\w/.test(string[offset + 1] || '') ? '_' : '\\_');
+  }
+
+  /**
+   * Keep a paragraph from being read as a heading, quote, list item or rule
+   */
+  escapeLineStart(text) {
+    return text
+      .replace(/^(#{1,6}(?:\s|$)|>|[-+](?:\s|$)|=+\s*$)/, '\\$1')
+      .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+  }
+}
+
+module.exports = DocsToMarkdownConverter;
@@ -0,0 +1,172 @@
+const { buildDocumentBlocks } = require('./document-blocks');
+const { buildOutline } = require('./document-sections');
+
+const RULE_WIDTH = 40;
+
+/**
+ * Converts a Google Docs API document to plain text
+ *
+ * Formatting is dropped. Structure is kept with plain-text conventions:
+ * underlined top-level headings, indented lists and code, `>` quotes,
+ * ASCII tables, `[n]` footnote references with the notes at the end, and
+ * form feeds for page breaks.
+ */
+class DocsToTextConverter {
+  /**
+   * Main conversion method
+   * @param {Object} doc - Google Docs API document object
+   * @param {Array} elements - Structural elements to convert (default: whole body)
+   * @returns {string} Plain text
+   */
+  convert(doc, elements = doc.body.content) {
+    const { blocks, footnotes } = buildDocumentBlocks(doc, elements);
+    this.headings = blocks.filter(block => block.type === 'heading');
+
+    const chunks = blocks.map(block => this.convertBlock(block)).filter(Boolean);
+
+    if (footnotes.length > 0) {
+      chunks.push('-'.repeat(RULE_WIDTH));
+      chunks.push(footnotes.map(footnote => `[${footnote.number}] ${this.convertRuns(footnote.runs)}`).join('\n'));
+    }
+
+    return chunks.length > 0 ? chunks.join('\n\n') + '\n' : '';
+  }
+
+  convertBlock(block) {
+    switch (block.type) {
+      case 'heading': {
+        const text = this.convertRuns(block.runs).replace(/\n/g, ' ');
+        if (block.level <= 2) {
+          return text + '\n' + (block.level === 1 ? '=' : '-').repeat(text.length);
+        }
+        return text;
+      }
+      case 'paragraph':
+        return this.convertRuns(block.runs);
+      case 'list':
+        return this.convertList(block, 0);
+      case 'code':
+        return block.text.split('\n').map(line => line ? '    ' + line : '').join('\n');
+      case 'quote':
+        return block.blocks
+          .map(child => this.convertBlock(child).split('\n').map(line => '> ' + line).join('\n'))
+          .join('\n>\n');
+      case 'table':
+        return this.convertTable(block);
+      case 'rule':
+        return '-'.repeat(RULE_WIDTH);
+      case 'pageBreak':
+        return '\f';
+      case 'toc':
+        return this.convertTableOfContents();
+      default:
+        return '';
+    }
+  }
+
+  convertList(list, indent) {
+    const lines = [];
+
+    list.items.forEach((item, index) => {
+      const marker = list.ordered ? `${index + 1}. ` : '- ';
+      const contentIndent = indent + marker.length;
+      const text = this.convertRuns(item.runs).split('\n').join('\n' + ' '.repeat(contentIndent));
+
+      lines.push(' '.repeat(indent) + marker + text);
+      for (const child of item.children) {
+        lines.push(this.convertList(child, contentIndent));
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * ASCII grid; the header row is separated by a double rule
+   *
+   *   +------+-------+
+   *   | Name | Value |
+   *   +======+=======+
+   *   | a    |     1 |
+   *   +------+-------+
+   */
+  convertTable(table) {
+    if (table.rows.length === 0) return '';
+
+    const cols = table.alignments.length;
+    const rows = table.rows.map(row => {
+      const cells = row.map(cell => cell.blocks.map(block => this.convertBlock(block)).join('\n').split('\n'));
+      while (cells.length < cols) cells.push(['']);
+      return cells;
+    });
+
+    const widths = [];
+    for (let col = 0; col < cols; col++) {
+      widths.push(Math.max(3, ...rows.map(row => Math.max(...row[col].map(line => line.length)))));
+    }
+
+    const separator = (char) => '+' + widths.map(width => char.repeat(width + 2)).join('+') + '+';
+
+    const formatRow = (row) => {
+      const height = Math.max(...row.map(lines => lines.length));
+      const lines = [];
+
+      for (let i = 0; i < height; i++) {
+        const cells = row.map((cellLines, col) => align(cellLines[i] || '', widths[col], table.alignments[col]));
+        lines.push('| ' + cells.join(' | ') + ' |');
+      }
+      return lines.join('\n');
+    };
+
+    const lines = [separator('-'), formatRow(rows[0]), separator(rows.length > 1 ? '=' : '-')];
+    for (const row of rows.slice(1)) {
+      lines.push(formatRow(row), separator('-'));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Outline of the exported headings, indented by level
+   */
+  convertTableOfContents() {
+    const lines = [];
+
+    const addNodes = (nodes, depth) => {
+      for (const node of nodes) {
+        lines.push('  '.repeat(depth) + this.convertRuns(node.runs).replace(/\n/g, ' '));
+        addNodes(node.children, depth + 1);
+      }
+    };
+    addNodes(buildOutline(this.headings), 0);
+
+    return lines.join('\n');
+  }
+
+  convertRuns(runs) {
+    return runs.map(run => {
+      if (run.type === 'image') {
+        return run.alt ? `[image: ${run.alt}]` : '[image]';
+      }
+      if (run.type === 'footnoteRef') {
+        return `[${run.number}]`;
+      }
+      return run.text;
+    }).join('').trim();
+  }
+}
+
+function align(text, width, alignment) {
+  const space = width - text.length;
+
+  if (alignment === 'right') {
+    return ' '.repeat(space) + text;
+  }
+  if (alignment === 'center') {
+    const left = Math.floor(space / 2);
+    return ' '.repeat(left) + text + ' '.repeat(space - left);
+  }
+  return text + ' '.repeat(space);
+}
+
+module.exports = DocsToTextConverter;
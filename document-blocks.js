@@ -0,0 +1,415 @@
+/**
+ * Normalize Google Docs structure into a block tree
+ *
+ * The raw documents.get payload spreads one logical structure over many
+ * places (bullets in doc.lists, images in doc.inlineObjects, footnotes in
+ * doc.footnotes, heading links as heading IDs). The block tree resolves
+ * all of that; exporters render it and `gdoc export --format json` prints it.
+ *
+ * Blocks:
+ *   { type: 'heading', level, headingId, anchor, runs }
+ *   { type: 'paragraph', runs }
+ *   { type: 'list', ordered, items: [{ runs, children: [list blocks] }] }
+ *   { type: 'code', text }
+ *   { type: 'quote', blocks }
+ *   { type: 'table', alignments, rows: [[{ blocks }]] }   (first row is the header)
+ *   { type: 'rule' } | { type: 'pageBreak' } | { type: 'toc' }
+ *
+ * Runs:
+ *   { type: 'text', text, bold, italic, strikethrough, underline, superscript, subscript, code, link }
+ *   { type: 'image', src, alt, title, width, height }   (width/height in points)
+ *   { type: 'footnoteRef', number }
+ *
+ * Style flags are only present when set. Line breaks inside a paragraph are '\n'.
+ */
+
+const { parseDocumentSections, buildHeadingAnchors } = require('./document-sections');
+
+// Fonts treated as code (inline code spans and code blocks)
+const MONOSPACE_FONT_PATTERN = /mono|courier|consolas|menlo|monaco|console|inconsolata|cousine|source code|fira code/i;
+
+const ORDERED_GLYPH_TYPES = ['DECIMAL', 'ZERO_DECIMAL', 'UPPER_ALPHA', 'ALPHA', 'UPPER_ROMAN', 'ROMAN'];
+
+const HEADING_LEVELS = {
+  TITLE: 1,
+  HEADING_1: 1,
+  HEADING_2: 2,
+  HEADING_3: 3,
+  HEADING_4: 4,
+  HEADING_5: 5,
+  HEADING_6: 6
+};
+
+// START is the default and reads back on every paragraph, so it maps to no alignment
+const CELL_ALIGNMENT = {
+  CENTER: 'center',
+  END: 'right'
+};
+
+// Docs uses a vertical tab for line breaks inside a paragraph
+const LINE_BREAK = '\u000b';
+
+/**
+ * Build the block tree for a document or part of it
+ * @param {Object} doc - Google Docs API document object
+ * @param {Array} elements - Structural elements to include (default: whole body)
+ * @returns {Object} { documentId, title, revisionId, blocks, footnotes: [{ number, runs }] }
+ */
+function buildDocumentBlocks(doc, elements = doc.body.content) {
+  const context = {
+    doc: doc,
+    footnoteIds: [],
+    headingSlugs: {}
+  };
+
+  // Heading links point at heading IDs; expose them as the slugs markdown uses
+  const anchors = buildHeadingAnchors(parseDocumentSections(doc));
+  for (const [slug, headingId] of Object.entries(anchors)) {
+    context.headingSlugs[headingId] = slug;
+  }
+
+  const blocks = buildBlocks(context, elements);
+
+  // Footnotes referenced from other footnotes are appended while iterating
+  const footnotes = [];
+  for (let i = 0; i < context.footnoteIds.length; i++) {
+    const content = doc.footnotes?.[context.footnoteIds[i]]?.content || [];
+    const runs = [];
+
+    for (const element of content) {
+      if (!element.paragraph) continue;
+      if (runs.length > 0) {
+        runs.push({ type: 'text', text: ' ' });
+      }
+      runs.push(...buildRuns(context, element.paragraph.elements));
+    }
+
+    footnotes.push({ number: i + 1, runs: trimRuns(runs) });
+  }
+
+  return {
+    documentId: doc.documentId,
+    title: doc.title,
+    revisionId: doc.revisionId,
+    blocks: blocks,
+    footnotes: footnotes
+  };
+}
+
+/**
+ * Convert structural elements into blocks
+ * Consecutive list items, code paragraphs and quote paragraphs are
+ * collected into a single block.
+ */
+function buildBlocks(context, elements) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < elements.length) {
+    const element = elements[i];
+
+    if (element.table) {
+      blocks.push(buildTable(context, element.table));
+      i++;
+    } else if (element.tableOfContents) {
+      blocks.push({ type: 'toc' });
+      i++;
+    } else if (!element.paragraph) {
+      // Section breaks carry no content
+      i++;
+    } else if (element.paragraph.bullet) {
+      const paragraphs = [];
+      while (i < elements.length && elements[i].paragraph?.bullet) {
+        paragraphs.push(elements[i].paragraph);
+        i++;
+      }
+      blocks.push(buildList(context, paragraphs));
+    } else if (isCodeParagraph(element.paragraph)) {
+      const lines = [];
+      while (i < elements.length && elements[i].paragraph && isCodeParagraph(elements[i].paragraph)) {
+        lines.push(getParagraphText(elements[i].paragraph).split(LINE_BREAK).join('\n'));
+        i++;
+      }
+      blocks.push({ type: 'code', text: lines.join('\n') });
+    } else if (isQuoteParagraph(element.paragraph)) {
+      const quoted = [];
+      while (i < elements.length && elements[i].paragraph && !elements[i].paragraph.bullet &&
+             isQuoteParagraph(elements[i].paragraph)) {
+        quoted.push({ type: 'paragraph', runs: buildRuns(context, elements[i].paragraph.elements) });
+        i++;
+      }
+      blocks.push({ type: 'quote', blocks: quoted });
+    } else {
+      blocks.push(...buildParagraph(context, element.paragraph));
+      i++;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * A paragraph becomes a heading, paragraph, rule or page break (zero or more blocks)
+ */
+function buildParagraph(context, paragraph) {
+  const elements = paragraph.elements || [];
+  const style = paragraph.paragraphStyle || {};
+
+  if (elements.some(element => element.horizontalRule) || isRuleParagraph(paragraph)) {
+    return [{ type: 'rule' }];
+  }
+
+  const runs = buildRuns(context, elements);
+  const blocks = [];
+  const level = HEADING_LEVELS[style.namedStyleType];
+
+  if (level) {
+    if (runs.length > 0) {
+      blocks.push({
+        type: 'heading',
+        level: level,
+        headingId: style.headingId,
+        anchor: context.headingSlugs[style.headingId],
+        runs: runs
+      });
+    }
+  } else if (runs.length > 0) {
+    blocks.push({ type: 'paragraph', runs: runs });
+  }
+
+  if (elements.some(element => element.pageBreak)) {
+    blocks.push({ type: 'pageBreak' });
+  }
+
+  return blocks;
+}
+
+/**
+ * Nest bulleted paragraphs by their nesting level
+ */
+function buildList(context, paragraphs) {
+  const first = paragraphs[0].bullet;
+  const root = {
+    type: 'list',
+    ordered: isOrderedList(context.doc, first.listId, first.nestingLevel || 0),
+    items: []
+  };
+  const stack = [{ list: root, level: first.nestingLevel || 0 }];
+
+  for (const paragraph of paragraphs) {
+    const { listId, nestingLevel = 0 } = paragraph.bullet;
+
+    while (stack.length > 1 && stack[stack.length - 1].level > nestingLevel) {
+      stack.pop();
+    }
+
+    let top = stack[stack.length - 1];
+    const parentItem = top.list.items[top.list.items.length - 1];
+
+    if (nestingLevel > top.level && parentItem) {
+      const child = {
+        type: 'list',
+        ordered: isOrderedList(context.doc, listId, nestingLevel),
+        items: []
+      };
+      parentItem.children.push(child);
+      top = { list: child, level: nestingLevel };
+      stack.push(top);
+    }
+
+    top.list.items.push({ runs: buildRuns(context, paragraph.elements), children: [] });
+  }
+
+  return root;
+}
+
+function buildTable(context, table) {
+  const rows = table.tableRows.map(row =>
+    row.tableCells.map(cell => ({ blocks: buildBlocks(context, cell.content || []) }))
+  );
+
+  const cols = Math.max(0, ...rows.map(row => row.length));
+  const alignments = [];
+  for (let col = 0; col < cols; col++) {
+    const cell = table.tableRows[0].tableCells[col];
+    const alignment = cell?.content?.[0]?.paragraph?.paragraphStyle?.alignment;
+    alignments.push(CELL_ALIGNMENT[alignment] || null);
+  }
+
+  return { type: 'table', alignments: alignments, rows: rows };
+}
+
+/**
+ * Convert paragraph elements into runs, merging neighbours with the same style
+ */
+function buildRuns(context, elements = []) {
+  const runs = [];
+
+  for (const element of elements) {
+    if (element.textRun) {
+      const text = element.textRun.content.replace(/\n$/, '').split(LINE_BREAK).join('\n');
+      if (!text) continue;
+
+      const run = { type: 'text', text: text, ...getTextMarks(context, element.textRun.textStyle || {}) };
+      const previous = runs[runs.length - 1];
+
+      if (previous && previous.type === 'text' && sameMarks(previous, run)) {
+        previous.text += run.text;
+      } else {
+        runs.push(run);
+      }
+    } else if (element.inlineObjectElement) {
+      const image = buildImage(context, element.inlineObjectElement.inlineObjectId);
+      if (image) {
+        runs.push(image);
+      }
+    } else if (element.footnoteReference) {
+      const { footnoteId } = element.footnoteReference;
+      if (!context.footnoteIds.includes(footnoteId)) {
+        context.footnoteIds.push(footnoteId);
+      }
+      runs.push({ type: 'footnoteRef', number: context.footnoteIds.indexOf(footnoteId) + 1 });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Style flags of a text run (only those that are set)
+ */
+function getTextMarks(context, textStyle) {
+  const marks = {};
+  const fontFamily = textStyle.weightedFontFamily?.fontFamily;
+  const link = getLinkTarget(context, textStyle.link);
+
+  if (textStyle.bold) marks.bold = true;
+  if (textStyle.italic) marks.italic = true;
+  if (textStyle.strikethrough) marks.strikethrough = true;
+  // Links are underlined by Docs itself
+  if (textStyle.underline && !link) marks.underline = true;
+  if (textStyle.baselineOffset === 'SUPERSCRIPT') marks.superscript = true;
+  if (textStyle.baselineOffset === 'SUBSCRIPT') marks.subscript = true;
+  if (fontFamily && MONOSPACE_FONT_PATTERN.test(fontFamily)) marks.code = true;
+  if (link) marks.link = link;
+
+  return marks;
+}
+
+function sameMarks(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  keys.delete('text');
+  return [...keys].every(key => a[key] === b[key]);
+}
+
+function getLinkTarget(context, link) {
+  if (!link) return null;
+
+  if (link.url) {
+    return link.url;
+  }
+  if (link.headingId && context.headingSlugs[link.headingId]) {
+    return '#' + context.headingSlugs[link.headingId];
+  }
+  return null;
+}
+
+/**
+ * Images inserted by URL keep that URL; others only have a short-lived contentUri
+ */
+function buildImage(context, inlineObjectId) {
+  const embedded = context.doc.inlineObjects?.[inlineObjectId]?.inlineObjectProperties?.embeddedObject;
+  if (!embedded) return null;
+
+  const src = embedded.imageProperties?.sourceUri || embedded.imageProperties?.contentUri;
+  if (!src) return null;
+
+  const image = { type: 'image', src: src, alt: embedded.description || '' };
+  if (embedded.title) {
+    image.title = embedded.title;
+  }
+  for (const dimension of ['width', 'height']) {
+    const magnitude = embedded.size?.[dimension]?.magnitude;
+    if (magnitude) {
+      image[dimension] = Math.round(magnitude);
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Drop leading and trailing whitespace from a run list
+ */
+function trimRuns(runs) {
+  const first = runs[0];
+  if (first && first.type === 'text') {
+    first.text = first.text.replace(/^\s+/, '');
+  }
+
+  const last = runs[runs.length - 1];
+  if (last && last.type === 'text') {
+    last.text = last.text.replace(/\s+$/, '');
+  }
+
+  return runs.filter(run => run.type !== 'text' || run.text);
+}
+
+/**
+ * Plain text of a run list (images by their alt text, footnote refs as [n])
+ */
+function getRunsText(runs) {
+  return runs.map(run => {
+    if (run.type === 'image') return run.alt;
+    if (run.type === 'footnoteRef') return `[${run.number}]`;
+    return run.text;
+  }).join('');
+}
+
+function getParagraphText(paragraph) {
+  return (paragraph.elements || [])
+    .map(element => element.textRun?.content || '')
+    .join('')
+    .replace(/\n$/, '');
+}
+
+/**
+ * A paragraph is code when every text run, including empty lines, is monospace
+ */
+function isCodeParagraph(paragraph) {
+  const elements = paragraph.elements || [];
+  if (HEADING_LEVELS[paragraph.paragraphStyle?.namedStyleType]) return false;
+  if (elements.length === 0 || elements.some(element => !element.textRun)) return false;
+
+  return elements.every(element => {
+    const fontFamily = element.textRun.textStyle?.weightedFontFamily?.fontFamily;
+    return fontFamily && MONOSPACE_FONT_PATTERN.test(fontFamily);
+  });
+}
+
+/**
+ * Quote paragraphs are indented with a left border (see MarkdownToDocsConverter.addBlockquote)
+ */
+function isQuoteParagraph(paragraph) {
+  const style = paragraph.paragraphStyle || {};
+  return !!style.borderLeft?.width?.magnitude && !!style.indentStart?.magnitude;
+}
+
+/**
+ * Horizontal rules are empty paragraphs with a bottom border
+ */
+function isRuleParagraph(paragraph) {
+  return !!paragraph.paragraphStyle?.borderBottom?.width?.magnitude &&
+    !getParagraphText(paragraph).trim();
+}
+
+function isOrderedList(doc, listId, nestingLevel) {
+  const level = doc.lists?.[listId]?.listProperties?.nestingLevels?.[nestingLevel];
+  return !!level && ORDERED_GLYPH_TYPES.includes(level.glyphType);
+}
+
+module.exports = {
+  buildDocumentBlocks,
+  getRunsText,
+  isOrderedList
+};
@@ -0,0 +1,802 @@
+/**
+ * Copy document content by rebuilding it
+ *
+ * The Docs API can't move or copy content, so copied elements are
+ * recreated from the document they come from: the text goes in first, then
+ * inline images, footnote references and page breaks, text and paragraph
+ * styles, bullets (one new list per source list) and
+ * finally tables (see document-tables.js).
+ *
+ * What the API can't create is skipped and reported: horizontal rules,
+ * tables of contents, section breaks, drawings, equations, nested
+ * tables and cell merges. Comments, suggestions and bookmarks stay
+ * behind, and copied headings get new heading IDs.
+ */
+
+const { isOrderedList } = require('./document-blocks');
+const { createTableRequests } = require('./document-tables');
+const { createEmptyParagraphRequests, forEachTextRun } = require('./document-sections');
+
+// Stand-ins for non-text elements: images and footnote references, page breaks
+const INLINE_OBJECT = '\uFFFC';
+const PAGE_BREAK = '\f';
+
+// Copied text style fields; fields the source leaves unset are reset
+const TEXT_STYLE_FIELDS = [
+  'bold',
+  'italic',
+  'underline',
+  'strikethrough',
+  'smallCaps',
+  'baselineOffset',
+  'link',
+  'weightedFontFamily',
+  'fontSize',
+  'foregroundColor',
+  'backgroundColor'
+];
+
+// Paragraph style fields updateParagraphStyle can set (headingId is read-only)
+const PARAGRAPH_STYLE_FIELDS = [
+  'namedStyleType',
+  'alignment',
+  'lineSpacing',
+  'direction',
+  'spacingMode',
+  'spaceAbove',
+  'spaceBelow',
+  'borderBetween',
+  'borderTop',
+  'borderBottom',
+  'borderLeft',
+  'borderRight',
+  'indentFirstLine',
+  'indentStart',
+  'indentEnd',
+  'keepLinesTogether',
+  'keepWithNext',
+  'avoidWidowAndOrphan',
+  'shading',
+  'pageBreakBefore'
+];
+
+// Set by createParagraphBullets for list items
+const BULLET_INDENT_FIELDS = ['indentStart', 'indentFirstLine'];
+
+const TABLE_CELL_STYLE_FIELDS = [
+  'backgroundColor',
+  'borderLeft',
+  'borderRight',
+  'borderTop',
+  'borderBottom',
+  'paddingLeft',
+  'paddingRight',
+  'paddingTop',
+  'paddingBottom',
+  'contentAlignment'
+];
+
+// Glyphs of the first three nesting levels of each preset: the symbol of a
+// bullet, the glyph type and format of a number
+const CHECKBOX_GLYPH = '\u2610';
+const BULLET_PRESETS = {
+  BULLET_DISC_CIRCLE_SQUARE: ['\u25CF', '\u25CB', '\u25A0'],
+  BULLET_DIAMONDX_ARROW3D_SQUARE: ['\u2756', '\u27A2', '\u25A0'],
+  BULLET_CHECKBOX: [CHECKBOX_GLYPH, CHECKBOX_GLYPH, CHECKBOX_GLYPH],
+  BULLET_ARROW_DIAMOND_DISC: ['\u2794', '\u25C6', '\u25CF'],
+  BULLET_STAR_CIRCLE_SQUARE: ['\u2605', '\u25CB', '\u25A0'],
+  BULLET_ARROW3D_CIRCLE_SQUARE: ['\u27A2', '\u25CB', '\u25A0'],
+  BULLET_LEFTTRIANGLE_DIAMOND_DISC: ['\u25C4', '\u25C6', '\u25CF'],
+  BULLET_DIAMONDX_HOLLOWDIAMOND_SQUARE: ['\u2756', '\u25C7', '\u25A0'],
+  BULLET_DIAMOND_CIRCLE_SQUARE: ['\u25C6', '\u25CB', '\u25A0'],
+  NUMBERED_DECIMAL_ALPHA_ROMAN: ['DECIMAL %0.', 'ALPHA %1.', 'ROMAN %2.'],
+  NUMBERED_DECIMAL_ALPHA_ROMAN_PARENS: ['DECIMAL %0)', 'ALPHA %1)', 'ROMAN %2)'],
+  NUMBERED_DECIMAL_NESTED: ['DECIMAL %0.', 'DECIMAL %0.%1.', 'DECIMAL %0.%1.%2.'],
+  NUMBERED_UPPERALPHA_ALPHA_ROMAN: ['UPPER_ALPHA %0.', 'ALPHA %1.', 'ROMAN %2.'],
+  NUMBERED_UPPERROMAN_UPPERALPHA_DECIMAL: ['UPPER_ROMAN %0.', 'UPPER_ALPHA %1.', 'DECIMAL %2.'],
+  NUMBERED_ZERODECIMAL_ALPHA_ROMAN: ['ZERO_DECIMAL %0.', 'ALPHA %1.', 'ROMAN %2.']
+};
+
+// Paragraph alignment of a cell's first paragraph to createTableRequests' align
+const CELL_ALIGNMENT = {
+  START: 'left',
+  CENTER: 'center',
+  END: 'right'
+};
+
+/**
+ * Requests that copy body elements to an index
+ * @param {Object} source - Document the elements come from
+ * @param {Array} elements - Body structural elements, e.g. from extractSectionContent
+ * @param {Object} target - Document the copy goes into (the source itself when moving)
+ * @param {number} index - Start of a paragraph in target, or the end of its body
+ * @param {Object} options
+ * @param {number} options.levelOffset - Levels to add to copied headings (default 0)
+ * @returns {Object} { requests, footnotes, headingIds, headingLinks, skipped }
+ *   footnotes are in the form populateFootnotes takes; headingIds are the
+ *   IDs of the copied headings in order (the copies get new ones);
+ *   headingLinks are the copied links to headings, which are inserted
+ *   unlinked for createHeadingRelinkRequests; skipped names each element
+ *   that could not be copied
+ */
+function createCopyRequests(source, elements, target, index, options = {}) {
+  const context = { source: source, levelOffset: options.levelOffset || 0, skipped: [], headingIds: [] };
+  const paragraphs = readParagraphs(elements, context);
+
+  const requests = [];
+  const footnotes = [];
+  const headingLinks = [];
+
+  const targetContent = target.body.content;
+  const bodyEndIndex = targetContent[targetContent.length - 1].endIndex;
+  let anchor = targetContent.find(element =>
+    element.paragraph && element.startIndex <= index && index < element.endIndex);
+
+  // Nothing can go after the body's final newline, so open a paragraph in front of it
+  if (index >= bodyEndIndex) {
+    index = bodyEndIndex;
+    anchor = null;
+    requests.push(...createEmptyParagraphRequests(target, index));
+  }
+
+  // Leading tabs give list items their nesting level, as in MarkdownToDocsConverter.addList
+  let text = '';
+  const layout = paragraphs.map(paragraph => {
+    const tabs = paragraph.bullet ? paragraph.bullet.nestingLevel || 0 : 0;
+    const start = text.length;
+    text += '\t'.repeat(tabs) + paragraph.text + '\n';
+    return { paragraph: paragraph, start: start, tabs: tabs, textStart: start + tabs };
+  });
+
+  if (layout.length === 0) {
+    return { requests: [], footnotes: [], headingIds: [], headingLinks: [], skipped: context.skipped };
+  }
+
+  // Text first, then inline objects and page breaks in ascending order
+  requests.push({
+    insertText: {
+      location: { index: index },
+      text: text.split(PAGE_BREAK + '\n').join('').split(INLINE_OBJECT).join('')
+    }
+  });
+
+  for (const entry of layout) {
+    let objectIndex = 0;
+
+    entry.paragraph.text.split('').forEach((char, i) => {
+      const location = { index: index + entry.textStart + i };
+
+      if (char === PAGE_BREAK) {
+        requests.push({ insertPageBreak: { location: location } });
+      } else if (char === INLINE_OBJECT) {
+        const object = entry.paragraph.objects[objectIndex++];
+
+        if (object.type === 'image') {
+          requests.push({
+            insertInlineImage: {
+              location: location,
+              uri: object.uri,
+              ...(object.size && { objectSize: object.size })
+            }
+          });
+        } else {
+          const request = { createFootnote: { location: location } };
+          requests.push(request);
+          footnotes.push({ ...readFootnote(source, object.footnoteId), request: request });
+        }
+      }
+    });
+  }
+
+  // New paragraphs inherit the bullet of a list item they are inserted in front of
+  if (anchor?.paragraph.bullet) {
+    requests.push({
+      deleteParagraphBullets: {
+        range: { startIndex: index, endIndex: index + text.length }
+      }
+    });
+  }
+
+  // Heading links are relinked in a later batch, when the nesting tabs are gone
+  let removedTabs = 0;
+  for (const entry of layout) {
+    const linkStart = index + entry.start - removedTabs;
+    removedTabs += entry.tabs;
+
+    let run = null;
+    const flush = () => {
+      if (run) {
+        requests.push({
+          updateTextStyle: {
+            range: {
+              startIndex: index + entry.textStart + run.start,
+              endIndex: index + entry.textStart + run.end
+            },
+            textStyle: run.style,
+            fields: TEXT_STYLE_FIELDS.join(',')
+          }
+        });
+
+        if (run.headingId) {
+          headingLinks.push({
+            startIndex: linkStart + run.start,
+            endIndex: linkStart + run.end,
+            headingId: run.headingId
+          });
+        }
+      }
+      run = null;
+    };
+
+    entry.paragraph.textStyles.forEach((textStyle, i) => {
+      if (entry.paragraph.text[i] === PAGE_BREAK) {
+        flush();
+        return;
+      }
+
+      const style = pickStyle(textStyle, TEXT_STYLE_FIELDS);
+      const headingId = getLinkedHeadingId(textStyle.link);
+      const signature = JSON.stringify([style, headingId]);
+      if (run && run.signature === signature) {
+        run.end = i + 1;
+        return;
+      }
+
+      flush();
+      run = { signature: signature, style: style, headingId: headingId, start: i, end: i + 1 };
+    });
+    flush();
+  }
+
+  // Paragraph styles, one request per run of identically styled paragraphs
+  let group = null;
+  const flushGroup = () => {
+    if (group) {
+      requests.push({
+        updateParagraphStyle: {
+          range: { startIndex: group.startIndex, endIndex: group.endIndex },
+          paragraphStyle: group.style,
+          fields: group.fields.join(',')
+        }
+      });
+    }
+    group = null;
+  };
+
+  for (const entry of layout) {
+    const fields = entry.paragraph.bullet
+      ? PARAGRAPH_STYLE_FIELDS.filter(field => !BULLET_INDENT_FIELDS.includes(field))
+      : PARAGRAPH_STYLE_FIELDS;
+    const style = pickStyle(entry.paragraph.style, fields);
+    const signature = JSON.stringify([fields, style]);
+    const endIndex = index + entry.textStart + entry.paragraph.text.length + 1;
+
+    if (group && group.signature === signature) {
+      group.endIndex = endIndex;
+    } else {
+      flushGroup();
+      group = { signature: signature, style: style, fields: fields, startIndex: index + entry.start, endIndex: endIndex };
+    }
+  }
+  flushGroup();
+
+  requests.push(...createBulletRequests(source, layout, index));
+
+  // Tables go in their empty paragraphs once the tabs before them are gone
+  const tables = [];
+  let tableTabs = 0;
+  for (const entry of layout) {
+    if (entry.paragraph.table) {
+      tables.push({ ...entry.paragraph.table, index: index + entry.start - tableTabs });
+    }
+    tableTabs += entry.tabs;
+  }
+  requests.push(...createTableRequests(tables));
+
+  return {
+    requests: requests,
+    footnotes: footnotes,
+    headingIds: context.headingIds,
+    headingLinks: headingLinks,
+    skipped: context.skipped
+  };
+}
+
+/**
+ * Requests recreating the copied lists, one new list per source list
+ * As in MarkdownToDocsConverter.addList, each list is bulleted over its whole
+ * span so numbering carries on across items of nested lists and paragraphs
+ * in between; the nested lists are then re-bulleted with their tabs
+ * restored, and the paragraphs in between lose the bullet again.
+ * createParagraphBullets consumes the leading tabs of every paragraph in its
+ * range; by the end only the text's own tabs outside lists are left.
+ * @param {Object} source - Document the list items come from
+ * @param {Array} layout - Paragraph layout from createCopyRequests
+ * @param {number} index - Where the copied text starts
+ */
+function createBulletRequests(source, layout, index) {
+  const requests = [];
+
+  // Leading tabs each paragraph has right now, and has of its own when not in a list
+  const ownTabs = layout.map(entry => entry.paragraph.bullet ? 0 : entry.paragraph.text.match(/^\t*/)[0].length);
+  const tabs = layout.map((entry, i) => entry.tabs + ownTabs[i]);
+  const startOf = (i) => {
+    let start = index + layout[i].start;
+    for (let j = 0; j < i; j++) {
+      start -= layout[j].tabs + ownTabs[j] - tabs[j];
+    }
+    return start;
+  };
+  const endOf = (i) => startOf(i) + tabs[i] + layout[i].paragraph.text.length - ownTabs[i] + 1;
+
+  const lists = new Map();
+  layout.forEach((entry, i) => {
+    const listId = entry.paragraph.bullet?.listId;
+    if (listId === undefined) return;
+    if (!lists.has(listId)) lists.set(listId, []);
+    lists.get(listId).push(i);
+  });
+
+  // Outer lists first; a list never takes over the items of one bulleted before it
+  const owner = layout.map(() => null);
+  const bulleted = new Set();
+  for (const [listId, items] of lists) {
+    const runs = [];
+    let current = null;
+    for (let i = items[0]; i <= items[items.length - 1]; i++) {
+      if (owner[i] !== null) {
+        current = null;
+      } else if (items.includes(i)) {
+        if (!current) {
+          current = { first: i, last: i };
+          runs.push(current);
+        }
+        current.last = i;
+      }
+    }
+
+    for (const run of runs) {
+      for (let i = run.first; i <= run.last; i++) {
+        if (items.includes(i) && tabs[i] < layout[i].tabs) {
+          requests.push({
+            insertText: { location: { index: startOf(i) }, text: '\t'.repeat(layout[i].tabs - tabs[i]) }
+          });
+          tabs[i] = layout[i].tabs;
+        }
+      }
+
+      requests.push({
+        createParagraphBullets: {
+          range: { startIndex: startOf(run.first), endIndex: endOf(run.last) - 1 },
+          bulletPreset: getBulletPreset(source, listId)
+        }
+      });
+
+      for (let i = run.first; i <= run.last; i++) {
+        if (items.includes(i)) owner[i] = listId;
+        bulleted.add(i);
+        tabs[i] = 0;
+      }
+    }
+  }
+
+  // Paragraphs between list items: bullet off, their own style and tabs back
+  layout.forEach((entry, i) => {
+    if (entry.paragraph.bullet || !bulleted.has(i)) return;
+
+    requests.push({
+      deleteParagraphBullets: {
+        range: { startIndex: startOf(i), endIndex: endOf(i) }
+      }
+    });
+    requests.push({
+      updateParagraphStyle: {
+        range: { startIndex: startOf(i), endIndex: endOf(i) },
+        paragraphStyle: pickStyle(entry.paragraph.style, PARAGRAPH_STYLE_FIELDS),
+        fields: PARAGRAPH_STYLE_FIELDS.join(',')
+      }
+    });
+    if (ownTabs[i] > 0) {
+      requests.push({
+        insertText: { location: { index: startOf(i) }, text: '\t'.repeat(ownTabs[i]) }
+      });
+      tabs[i] = ownTabs[i];
+    }
+  });
+
+  return requests;
+}
+
+/**
+ * Bullet preset closest to a source list: the one sharing the most glyphs on
+ * its first three nesting levels. Lists can't be given glyphs of their own,
+ * so other glyphs and deeper levels fall back to the preset's.
+ */
+function getBulletPreset(source, listId) {
+  const levels = source.lists?.[listId]?.listProperties?.nestingLevels || [];
+  const glyphs = levels.slice(0, 3).map((level, nestingLevel) => {
+    if (isOrderedList(source, listId, nestingLevel)) {
+      return `${level.glyphType} ${level.glyphFormat || ''}`;
+    }
+    // Checkbox levels have neither a glyph symbol nor a numbering glyph type
+    return level.glyphSymbol || CHECKBOX_GLYPH;
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [preset, presetGlyphs] of Object.entries(BULLET_PRESETS)) {
+    const score = glyphs.filter((glyph, i) => glyph === presetGlyphs[i]).length;
+    if (score > bestScore) {
+      best = preset;
+      bestScore = score;
+    }
+  }
+
+  if (best) {
+    return best;
+  }
+  return isOrderedList(source, listId, 0) ? 'NUMBERED_DECIMAL_ALPHA_ROMAN' : 'BULLET_DISC_CIRCLE_SQUARE';
+}
+
+/**
+ * Requests linking copied text to the copied headings, once they exist
+ * Docs gives each copied heading a new ID. They are told apart from the
+ * headings already in the document by comparing it with how it was before
+ * the copy, and matched to the originals in order. A link to a heading
+ * that wasn't copied keeps pointing at it if it is in the document, or
+ * points into the document copied from.
+ * @param {Object} doc - The document after the copy
+ * @param {Object} previous - The same document before the copy
+ * @param {Object} copy - Result of createCopyRequests
+ * @param {Object} options
+ * @param {number} options.shift - Offset of the copy since it was made (default 0)
+ * @param {boolean} options.relinkAll - Also move links elsewhere in the document
+ *   from the originals to the copies, for when the originals are gone
+ * @param {string} options.sourceUrl - URL of the document copied from, when
+ *   it is another one
+ * @returns {Object} { requests, unresolved: heading IDs links were dropped for }
+ */
+function createHeadingRelinkRequests(doc, previous, copy, options = {}) {
+  const shift = options.shift || 0;
+  const getHeadingIds = (document) => document.body.content
+    .map(element => element.paragraph?.paragraphStyle?.headingId)
+    .filter(Boolean);
+
+  const known = new Set(getHeadingIds(previous));
+  const current = getHeadingIds(doc);
+  const created = current.filter(headingId => !known.has(headingId));
+
+  const renamed = {};
+  if (created.length === copy.headingIds.length) {
+    copy.headingIds.forEach((headingId, i) => {
+      renamed[headingId] = created[i];
+    });
+  }
+
+  const requests = [];
+  const unresolved = [];
+  const link = (range, headingId, url) => requests.push({
+    updateTextStyle: {
+      range: range,
+      textStyle: { link: url ? { url: url } : { headingId: headingId } },
+      fields: 'link'
+    }
+  });
+
+  for (const headingLink of copy.headingLinks) {
+    const range = { startIndex: headingLink.startIndex + shift, endIndex: headingLink.endIndex + shift };
+    const headingId = renamed[headingLink.headingId];
+
+    if (headingId) {
+      link(range, headingId);
+    } else if (options.sourceUrl) {
+      link(range, null, `${options.sourceUrl}#heading=${headingLink.headingId}`);
+    } else if (current.includes(headingLink.headingId)) {
+      link(range, headingLink.headingId);
+    } else {
+      unresolved.push(headingLink.headingId);
+    }
+  }
+
+  if (options.relinkAll) {
+    const relink = (segmentId) => (textElement) => {
+      const headingId = renamed[getLinkedHeadingId(textElement.textRun.textStyle?.link)];
+      if (headingId) {
+        link({
+          ...(segmentId && { segmentId: segmentId }),
+          startIndex: textElement.startIndex,
+          endIndex: textElement.endIndex
+        }, headingId);
+      }
+    };
+
+    forEachTextRun(doc.body.content, relink(null));
+    for (const [footnoteId, footnote] of Object.entries(doc.footnotes || {})) {
+      forEachTextRun(footnote.content || [], relink(footnoteId));
+    }
+  }
+
+  return { requests, unresolved };
+}
+
+/**
+ * Paragraphs to rebuild, each { text, textStyles, objects, style, bullet, table }
+ * textStyles has one entry per character of text. A table becomes an empty
+ * paragraph holding its metadata; the blank paragraphs around it are left
+ * out, as inserting the table recreates them.
+ */
+function readParagraphs(elements, context) {
+  const paragraphs = [];
+  const isBlank = (element) => element?.paragraph &&
+    (element.paragraph.elements || []).every(el => el.textRun && !el.textRun.content.trim());
+
+  elements.forEach((element, i) => {
+    if (element.paragraph) {
+      if (isBlank(element) && (elements[i - 1]?.table || elements[i + 1]?.table)) {
+        return;
+      }
+      paragraphs.push(readParagraph(element.paragraph, context));
+    } else if (element.table) {
+      paragraphs.push({
+        text: '',
+        textStyles: [],
+        objects: [],
+        style: { namedStyleType: 'NORMAL_TEXT' },
+        bullet: null,
+        table: readTable(element.table, context)
+      });
+    } else if (element.tableOfContents) {
+      context.skipped.push('table of contents');
+    } else if (element.sectionBreak && i > 0) {
+      context.skipped.push('section break');
+    }
+  });
+
+  return paragraphs;
+}
+
+function readParagraph(paragraph, context) {
+  const { source, skipped } = context;
+  const elements = paragraph.elements || [];
+  const result = {
+    text: '',
+    textStyles: [],
+    objects: [],
+    style: paragraph.paragraphStyle || {},
+    bullet: paragraph.bullet || null,
+    table: null
+  };
+
+  const append = (text, textStyle) => {
+    result.text += text;
+    for (let i = 0; i < text.length; i++) {
+      result.textStyles.push(textStyle || {});
+    }
+  };
+
+  elements.forEach((element, i) => {
+    if (element.textRun) {
+      append(element.textRun.content, element.textRun.textStyle);
+    } else if (element.inlineObjectElement) {
+      const object = source.inlineObjects?.[element.inlineObjectElement.inlineObjectId];
+      const embedded = object?.inlineObjectProperties?.embeddedObject;
+
+      if (embedded?.imageProperties?.contentUri) {
+        result.objects.push({
+          type: 'image',
+          uri: embedded.imageProperties.contentUri,
+          size: embedded.size && { height: embedded.size.height, width: embedded.size.width }
+        });
+        append(INLINE_OBJECT, {});
+      } else {
+        skipped.push('drawing');
+      }
+    } else if (element.footnoteReference) {
+      result.objects.push({ type: 'footnote', footnoteId: element.footnoteReference.footnoteId });
+      append(INLINE_OBJECT, {});
+    } else if (element.pageBreak) {
+      // insertPageBreak also ends the paragraph, so only a trailing page break can be rebuilt
+      const rest = elements.slice(i + 1).map(el => el.textRun?.content ?? '?').join('');
+      if (rest === '\n') {
+        append(PAGE_BREAK, {});
+      } else {
+        skipped.push('page break');
+      }
+    } else if (element.person) {
+      const person = element.person.personProperties || {};
+      append(person.name || person.email || '', element.person.textStyle);
+    } else if (element.richLink) {
+      const link = element.richLink.richLinkProperties || {};
+      append(link.title || link.uri || '', { ...element.richLink.textStyle, link: { url: link.uri } });
+    } else if (element.horizontalRule) {
+      skipped.push('horizontal rule');
+    } else if (element.equation) {
+      skipped.push('equation');
+    }
+  });
+
+  // The paragraph's own newline comes back with the text layout
+  if (result.text.endsWith('\n')) {
+    result.text = result.text.slice(0, -1);
+    result.textStyles.pop();
+  }
+
+  if (result.style.headingId) {
+    context.headingIds.push(result.style.headingId);
+  }
+
+  const level = /^HEADING_(\d)$/.exec(result.style.namedStyleType || '');
+  if (level && context.levelOffset) {
+    const shifted = parseInt(level[1], 10) + context.levelOffset;
+    if (shifted < 1 || shifted > 6) {
+      throw new Error(`Heading "${result.text.trim()}" would be H${shifted}; levels go from H1 to H6`);
+    }
+    result.style = { ...result.style, namedStyleType: `HEADING_${shifted}` };
+  }
+
+  return result;
+}
+
+/**
+ * Table metadata for createTableRequests: cell text with its formatting,
+ * cell styles, fixed column widths and pinned header rows
+ */
+function readTable(table, context) {
+  const cellData = [];
+  const cellStyles = [];
+
+  table.tableRows.forEach((row, r) => {
+    row.tableCells.forEach((cell, c) => {
+      let text = '';
+      const styles = [];
+      let align;
+
+      for (const element of cell.content || []) {
+        if (element.table) {
+          context.skipped.push('nested table');
+          continue;
+        }
+        if (!element.paragraph) continue;
+
+        align = align || CELL_ALIGNMENT[element.paragraph.paragraphStyle?.alignment];
+        if (text) text += '\n';
+
+        for (const el of element.paragraph.elements || []) {
+          if (!el.textRun) {
+            if (el.inlineObjectElement) context.skipped.push('image in a table');
+            continue;
+          }
+
+          const content = el.textRun.content.replace(/\n$/, '');
+          const style = pickStyle(el.textRun.textStyle, TEXT_STYLE_FIELDS);
+          if (content && Object.keys(style).length > 0) {
+            styles.push({
+              range: { startIndex: text.length, endIndex: text.length + content.length },
+              textStyle: style,
+              fields: Object.keys(style).join(',')
+            });
+          }
+          text += content;
+        }
+      }
+
+      cellData.push({ row: r, col: c, text: text, styles: styles, bold: false, align: align });
+
+      if (cell.tableCellStyle?.rowSpan > 1 || cell.tableCellStyle?.columnSpan > 1) {
+        context.skipped.push('merged table cells');
+      }
+
+      const cellStyle = pickStyle(cell.tableCellStyle, TABLE_CELL_STYLE_FIELDS);
+      if (Object.keys(cellStyle).length > 0) {
+        cellStyles.push({ row: r, col: c, tableCellStyle: cellStyle, fields: Object.keys(cellStyle).join(',') });
+      }
+    });
+  });
+
+  const columnProperties = [];
+  (table.tableStyle?.tableColumnProperties || []).forEach((properties, column) => {
+    if (properties.widthType === 'FIXED_WIDTH' && properties.width?.magnitude) {
+      columnProperties.push({
+        column: column,
+        tableColumnProperties: { widthType: 'FIXED_WIDTH', width: properties.width },
+        fields: 'widthType,width'
+      });
+    }
+  });
+
+  let pinnedRows = 0;
+  while (table.tableRows[pinnedRows]?.tableRowStyle?.tableHeader) {
+    pinnedRows++;
+  }
+
+  return {
+    rows: table.rows,
+    cols: table.columns,
+    cellData: cellData,
+    baseStyle: null,
+    headerBackground: null,
+    pinHeader: pinnedRows,
+    cellStyles: cellStyles,
+    columnProperties: columnProperties
+  };
+}
+
+/**
+ * Footnote text and formatting for populateFootnotes
+ * A new footnote segment already holds the leading space and final newline.
+ */
+function readFootnote(source, footnoteId) {
+  let text = '';
+  const styles = [];
+
+  for (const element of source.footnotes?.[footnoteId]?.content || []) {
+    for (const el of element.paragraph?.elements || []) {
+      if (!el.textRun) continue;
+
+      const start = text.length;
+      text += el.textRun.content;
+      const style = pickStyle(el.textRun.textStyle, TEXT_STYLE_FIELDS);
+      if (Object.keys(style).length > 0) {
+        styles.push({ range: { startIndex: start, endIndex: text.length }, textStyle: style, fields: Object.keys(style).join(',') });
+      }
+    }
+  }
+
+  text = text.replace(/\n$/, '');
+  const shift = text.startsWith(' ') ? 1 : 0;
+  text = text.slice(shift);
+
+  return {
+    id: footnoteId,
+    text: text,
+    styles: styles
+      .map(style => ({
+        ...style,
+        range: {
+          startIndex: Math.max(style.range.startIndex - shift, 0),
+          endIndex: Math.min(style.range.endIndex - shift, text.length)
+        }
+      }))
+      .filter(style => style.range.endIndex > style.range.startIndex)
+  };
+}
+
+/**
+ * Heading a link points at, from either form the API reports
+ */
+function getLinkedHeadingId(link) {
+  if (link?.headingId) return link.headingId;
+  const match = /^#heading=(.+)$/.exec(link?.url || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * The set fields of a style; empty colors, zero-width borders and the
+ * like count as unset. Links within the document are left out, as their
+ * headings and bookmarks may not exist where the copy goes.
+ */
+function pickStyle(style, fields) {
+  const picked = {};
+
+  for (const field of fields) {
+    const value = style?.[field];
+    if (value === undefined || value === null) continue;
+    if (field === 'link' && !(value.url && !/^#(heading|bookmark)=/.test(value.url))) continue;
+
+    if (typeof value === 'object') {
+      if (Object.keys(value).length === 0) continue;
+      if ('width' in value && 'dashStyle' in value && !value.width?.magnitude) continue;
+      if (field.endsWith('Color') && !value.color) continue;
+      if (field === 'shading' && !value.backgroundColor?.color) continue;
+    }
+
+    picked[field] = value;
+  }
+
+  return picked;
+}
+
+module.exports = {
+  createCopyRequests,
+  createHeadingRelinkRequests
+};
@@ -0,0 +1,1086 @@
+/**
+ * Paragraph-level diff between converted markdown and a range of a document
+ *
+ * The converter's requests are replayed on an in-memory body to get the
+ * paragraphs they would produce. Those are aligned with the document's
+ * paragraphs (longest common subsequence on their text); aligned
+ * paragraphs are only restyled where their formatting differs, everything
+ * else becomes a delete or an insert. Paragraphs that are left alone keep
+ * their comments, suggestions and heading IDs.
+ *
+ * Lists and tables are compared as whole units, one per list. The API can't
+ * put a new item at a given nesting level into an existing list, so a list
+ * with any changed item is rewritten; tables are matched on their cell text.
+ */
+
+const { parseDocumentSections, buildHeadingAnchors, extractTextFromParagraph, slugify, decodeAnchor } = require('./document-sections');
+const { isOrderedList } = require('./document-blocks');
+const { createTableRequests } = require('./document-tables');
+
+// Stand-ins for non-text elements: images and footnote references, page breaks
+const INLINE_OBJECT = '\uFFFC';
+const PAGE_BREAK = '\f';
+
+// Style fields the converter sets; inserted text gets all of them, restyling compares only these
+const TEXT_STYLE_FIELDS = [
+  'bold',
+  'italic',
+  'underline',
+  'strikethrough',
+  'smallCaps',
+  'baselineOffset',
+  'link',
+  'weightedFontFamily',
+  'fontSize',
+  'foregroundColor',
+  'backgroundColor'
+];
+
+const PARAGRAPH_STYLE_FIELDS = [
+  'namedStyleType',
+  'alignment',
+  'lineSpacing',
+  'indentStart',
+  'indentEnd',
+  'indentFirstLine',
+  'spaceAbove',
+  'spaceBelow',
+  'borderTop',
+  'borderBottom',
+  'borderLeft',
+  'borderRight',
+  'shading'
+];
+
+// Set by createParagraphBullets unless the converter overrides them
+const BULLET_INDENT_FIELDS = ['indentStart', 'indentFirstLine'];
+
+// Docs styles links itself when they are not styled explicitly
+const LINK_STYLE_FIELDS = ['underline', 'foregroundColor'];
+
+const BORDER_FIELDS = ['borderTop', 'borderBottom', 'borderLeft', 'borderRight'];
+
+/**
+ * Compute the requests that turn a range of the document into converted content
+ * @param {Object} doc - Google Docs API document object
+ * @param {Object} range - { startIndex, endIndex } of the content to replace
+ * @param {Object} conversion - MarkdownToDocsConverter.convert() result with image
+ *   sources resolved and indices still starting at 1
+ * @returns {Object} { requests, footnotes, summary }
+ *   requests create new tables too; footnotes are in the form populateFootnotes
+ *   takes; summary counts paragraphs: { kept, restyled, deleted, inserted }
+ * @throws {Error} When the conversion holds requests that can't be replayed (e.g. from a plugin)
+ */
+function diffDocumentContent(doc, range, conversion) {
+  const content = doc.body.content;
+  const bodyEndIndex = content[content.length - 1].endIndex;
+
+  const headingSlugs = {};
+  for (const [slug, headingId] of Object.entries(buildHeadingAnchors(parseDocumentSections(doc)))) {
+    headingSlugs[headingId] = slug;
+  }
+
+  const context = {
+    doc: doc,
+    conversion: conversion,
+    headingSlugs: headingSlugs,
+    bodyEndIndex: bodyEndIndex,
+    // Text can't go after the final newline of the body
+    endIndex: Math.min(range.endIndex, bodyEndIndex - 1)
+  };
+
+  const oldUnits = readDocumentUnits(doc, range, context);
+  const newUnits = groupUnits(readConvertedParagraphs(conversion, context));
+
+  const operations = [];
+  const summary = { kept: 0, restyled: 0, deleted: 0, inserted: 0 };
+
+  const footnotes = [];
+
+  // Runs of deletes and inserts, each placed in front of the kept unit that follows it
+  const hunks = [];
+  let hunk = null;
+
+  for (const step of alignUnits(oldUnits, newUnits)) {
+    if (step.type === 'keep') {
+      if (hunk) {
+        hunk.insertIndex = step.oldUnit.startIndex;
+        hunk = null;
+      }
+      summary.kept += step.oldUnit.paragraphs.length;
+
+      step.oldUnit.paragraphs.forEach((paragraph, i) => {
+        const requests = restyleParagraph(paragraph, step.newUnit.paragraphs[i], context);
+        if (requests.length > 0) {
+          summary.restyled++;
+          operations.push({ index: paragraph.startIndex, order: 0, requests: requests });
+        }
+      });
+      continue;
+    }
+
+    if (!hunk) {
+      hunk = { deleted: [], inserted: [], insertIndex: context.endIndex };
+      hunks.push(hunk);
+    }
+
+    if (step.type === 'delete') {
+      hunk.deleted.push(step.oldUnit);
+      summary.deleted += step.oldUnit.paragraphs.length;
+    } else {
+      hunk.inserted.push(step.newUnit);
+      summary.inserted += step.newUnit.paragraphs.length;
+    }
+  }
+
+  for (const h of hunks) {
+    const requests = [];
+
+    if (h.inserted.length > 0) {
+      let insertIndex = h.insertIndex;
+
+      // Appending after text in the body's last paragraph: open a new paragraph
+      // after it first, or the new text would join it
+      const lastParagraph = content[content.length - 1];
+      if (insertIndex === bodyEndIndex - 1 && lastParagraph.startIndex < insertIndex &&
+        !h.deleted.some(unit => unit.endIndex >= bodyEndIndex)) {
+        requests.push({
+          insertText: { location: { index: insertIndex }, text: '\n' }
+        });
+        insertIndex = bodyEndIndex;
+      }
+
+      const rendered = renderUnits(h.inserted, insertIndex, context);
+      requests.push(...rendered.requests);
+      footnotes.push(...rendered.footnotes);
+    }
+
+    // Deleted units are contiguous except around section breaks, which stay
+    const ranges = [];
+    for (const unit of h.deleted) {
+      const endIndex = Math.min(unit.endIndex, context.endIndex);
+      const previous = ranges[ranges.length - 1];
+      if (previous && previous.endIndex === unit.startIndex) {
+        previous.endIndex = endIndex;
+      } else if (endIndex > unit.startIndex) {
+        ranges.push({ startIndex: unit.startIndex, endIndex: endIndex });
+      }
+    }
+    for (const deleteRange of ranges.reverse()) {
+      requests.push({ deleteContentRange: { range: deleteRange } });
+    }
+
+    const start = h.deleted.length > 0 ? h.deleted[0].startIndex : h.insertIndex;
+    operations.push({ index: start, order: 1, requests: requests });
+  }
+
+  // Bottom-up, so every request's indices are still those of the fetched document;
+  // restyling at an index goes before content inserted there
+  operations.sort((a, b) => b.index - a.index || a.order - b.order);
+
+  return {
+    requests: operations.flatMap(operation => operation.requests),
+    footnotes: footnotes,
+    summary: summary
+  };
+}
+
+/**
+ * Replay converter requests on an empty body
+ * @param {Array} requests - Content requests, indices starting at 1
+ * @returns {Array} Paragraphs: { index, text, textStyles, objects, paragraphStyle, bullet }
+ *   text holds INLINE_OBJECT for images and footnote references and PAGE_BREAK
+ *   for page breaks; objects has the request behind each INLINE_OBJECT;
+ *   bullet is { listId, preset, nestingLevel }, lists numbered in order
+ */
+function simulateRequests(requests) {
+  // One entry per index; paragraph properties live on the newline that ends the paragraph
+  const body = [];
+  const position = index => index - 1;
+  // Each createParagraphBullets makes a new list; its number stands in for the list ID
+  let listCount = 0;
+
+  const createEntry = (char, object = null) => ({
+    char: char,
+    object: object,
+    textStyle: {},
+    paragraphStyle: {},
+    bullet: null
+  });
+
+  const insert = (index, entries) => {
+    body.splice(position(index), 0, ...entries);
+  };
+
+  // Newline positions of the paragraphs overlapping a range
+  const paragraphEnds = (range) => {
+    const ends = [];
+    const last = Math.max(position(range.startIndex), position(range.endIndex) - 1);
+
+    for (let i = position(range.startIndex); i < body.length; i++) {
+      if (body[i].char === '\n') {
+        ends.push(i);
+        if (i >= last) break;
+      }
+    }
+    return ends;
+  };
+
+  const paragraphStart = (end) => {
+    let start = end;
+    while (start > 0 && body[start - 1].char !== '\n') {
+      start--;
+    }
+    return start;
+  };
+
+  for (const request of requests) {
+    const type = Object.keys(request)[0];
+    const params = request[type];
+
+    // Footnote segments are written separately
+    if (params.location?.segmentId || params.range?.segmentId) {
+      continue;
+    }
+
+    switch (type) {
+      case 'insertText':
+        insert(params.location.index, params.text.split('').map(char => createEntry(char)));
+        break;
+      case 'insertInlineImage':
+        insert(params.location.index, [createEntry(INLINE_OBJECT, { type: 'image', request: request })]);
+        break;
+      case 'createFootnote':
+        insert(params.location.index, [createEntry(INLINE_OBJECT, { type: 'footnote', request: request })]);
+        break;
+      case 'insertPageBreak':
+        insert(params.location.index, [createEntry(PAGE_BREAK), createEntry('\n')]);
+        break;
+      case 'deleteContentRange':
+        body.splice(position(params.range.startIndex), params.range.endIndex - params.range.startIndex);
+        break;
+      case 'updateTextStyle':
+        for (let i = position(params.range.startIndex); i < position(params.range.endIndex) && i < body.length; i++) {
+          applyFields(body[i].textStyle, params.textStyle, params.fields);
+        }
+        break;
+      case 'updateParagraphStyle':
+        for (const end of paragraphEnds(params.range)) {
+          applyFields(body[end].paragraphStyle, params.paragraphStyle, params.fields);
+        }
+        break;
+      case 'createParagraphBullets':
+        listCount++;
+        // Leading tabs set the nesting level and are removed
+        for (const end of paragraphEnds(params.range).reverse()) {
+          const start = paragraphStart(end);
+          let tabs = 0;
+          while (body[start + tabs].char === '\t') {
+            tabs++;
+          }
+          body.splice(start, tabs);
+          body[end - tabs].bullet = { listId: listCount, preset: params.bulletPreset, nestingLevel: tabs };
+        }
+        break;
+      case 'deleteParagraphBullets':
+        for (const end of paragraphEnds(params.range)) {
+          body[end].bullet = null;
+        }
+        break;
+      default:
+        throw new Error(`Cannot compare ${type} requests with the document`);
+    }
+  }
+
+  const paragraphs = [];
+  let start = 0;
+
+  body.forEach((entry, i) => {
+    if (entry.char !== '\n') return;
+
+    const entries = body.slice(start, i);
+    paragraphs.push({
+      index: start + 1,
+      text: entries.map(e => e.char).join(''),
+      textStyles: entries.map(e => e.textStyle),
+      objects: entries.filter(e => e.object).map(e => e.object),
+      paragraphStyle: entry.paragraphStyle,
+      bullet: entry.bullet
+    });
+    start = i + 1;
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Set or reset (present in fields, absent in style) each field
+ */
+function applyFields(target, style, fields) {
+  for (const field of fields.split(',').map(name => name.trim())) {
+    if (style[field] !== undefined) {
+      target[field] = style[field];
+    } else {
+      delete target[field];
+    }
+  }
+}
+
+/**
+ * Paragraphs of the converted content with their comparison keys
+ * The empty paragraphs tables are created in carry their table's metadata.
+ */
+function readConvertedParagraphs(conversion, context) {
+  const paragraphs = simulateRequests(conversion.contentRequests);
+
+  for (const table of conversion.tables) {
+    const paragraph = paragraphs.find(p => p.index === table.index);
+    if (paragraph) {
+      paragraph.table = table;
+    }
+  }
+
+  for (const paragraph of paragraphs) {
+    const descriptions = paragraph.objects.map(object => describeConvertedObject(object, context));
+    paragraph.key = buildParagraphKey(paragraph.text, descriptions);
+    paragraph.ordered = !!paragraph.bullet && paragraph.bullet.preset.startsWith('NUMBERED');
+  }
+
+  return paragraphs;
+}
+
+function describeConvertedObject(object, context) {
+  if (object.type === 'image') {
+    return 'image:' + object.request.insertInlineImage.uri;
+  }
+
+  const footnote = context.conversion.footnotes.find(f => f.request === object.request);
+  return 'footnote:' + normalizeWhitespace(footnote?.text || '');
+}
+
+/**
+ * Units of the document range: paragraphs, lists and tables
+ * Blank paragraphs around a table belong to it (insertTable adds them).
+ */
+function readDocumentUnits(doc, range, context) {
+  const items = [];
+
+  for (const element of doc.body.content) {
+    if (element.startIndex < range.startIndex || element.startIndex >= range.endIndex) {
+      continue;
+    }
+
+    if (element.paragraph) {
+      items.push(readDocumentParagraph(doc, element, context));
+    } else if (element.table) {
+      items.push({
+        key: buildTableKey(element.table.tableRows.map(row =>
+          row.tableCells.map(cell => (cell.content || [])
+            .filter(cellElement => cellElement.paragraph)
+            .map(cellElement => extractTextFromParagraph(cellElement.paragraph))
+            .join('\n')))),
+        table: element.table,
+        startIndex: element.startIndex,
+        endIndex: element.endIndex
+      });
+    } else if (element.tableOfContents) {
+      // Never matches: the converter writes its own outline
+      items.push({ key: 'toc', startIndex: element.startIndex, endIndex: element.endIndex });
+    }
+    // Section breaks can't be deleted with the content around them, so they stay put
+  }
+
+  // The final newline of the body is not content
+  const last = items[items.length - 1];
+  if (last && last.endIndex === context.bodyEndIndex && isBlankParagraph(last)) {
+    items.pop();
+  }
+
+  const units = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    if (item.table) {
+      const unit = { key: item.key, table: item.table, paragraphs: [item], startIndex: item.startIndex, endIndex: item.endIndex };
+      const previous = units[units.length - 1];
+
+      if (previous && !previous.table && !previous.list && isBlankParagraph(previous.paragraphs[0]) &&
+          previous.endIndex === item.startIndex) {
+        units.pop();
+        unit.startIndex = previous.startIndex;
+      } else {
+        // Nothing but a paragraph can go right before a table
+        unit.bare = true;
+      }
+
+      const next = items[i + 1];
+      if (next && isBlankParagraph(next)) {
+        unit.endIndex = next.endIndex;
+        i++;
+      }
+
+      units.push(unit);
+    } else if (item.bullet) {
+      const previous = units[units.length - 1];
+      if (previous && previous.list) {
+        previous.paragraphs.push(item);
+        previous.endIndex = item.endIndex;
+        previous.key = buildListKey(previous.paragraphs);
+      } else {
+        units.push({ key: buildListKey([item]), list: true, paragraphs: [item], startIndex: item.startIndex, endIndex: item.endIndex });
+      }
+    } else {
+      units.push({ key: 'p:' + item.key, paragraphs: [item], startIndex: item.startIndex, endIndex: item.endIndex });
+    }
+  }
+
+  return splitListUnits(units);
+}
+
+/**
+ * Read a document paragraph into the shape of simulated ones
+ */
+function readDocumentParagraph(doc, element, context) {
+  let text = '';
+  const textStyles = [];
+  const descriptions = [];
+
+  for (const part of element.paragraph.elements || []) {
+    if (part.textRun) {
+      const runText = part.textRun.content.replace(/\n$/, '');
+      text += runText;
+      for (let i = 0; i < runText.length; i++) {
+        textStyles.push(part.textRun.textStyle || {});
+      }
+      continue;
+    }
+
+    const kind = Object.keys(part).find(key => key !== 'startIndex' && key !== 'endIndex');
+    const char = kind === 'pageBreak' ? PAGE_BREAK : INLINE_OBJECT;
+
+    for (let i = part.startIndex; i < part.endIndex; i++) {
+      text += char;
+      textStyles.push(part[kind]?.textStyle || {});
+      if (char === INLINE_OBJECT) {
+        descriptions.push(describeDocumentObject(doc, kind, part[kind]));
+      }
+    }
+  }
+
+  const bullet = element.paragraph.bullet || null;
+
+  return {
+    key: buildParagraphKey(text, descriptions),
+    text: text,
+    textStyles: textStyles,
+    paragraphStyle: element.paragraph.paragraphStyle || {},
+    bullet: bullet,
+    ordered: !!bullet && isOrderedList(doc, bullet.listId, bullet.nestingLevel || 0),
+    startIndex: element.startIndex,
+    endIndex: element.endIndex
+  };
+}
+
+function describeDocumentObject(doc, kind, object) {
+  if (kind === 'inlineObjectElement') {
+    const embedded = doc.inlineObjects?.[object.inlineObjectId]?.inlineObjectProperties?.embeddedObject;
+    const image = embedded?.imageProperties || {};
+    return 'image:' + (image.sourceUri || image.contentUri || '');
+  }
+
+  if (kind === 'footnoteReference') {
+    const footnote = doc.footnotes?.[object.footnoteId];
+    const text = (footnote?.content || [])
+      .filter(element => element.paragraph)
+      .map(element => extractTextFromParagraph(element.paragraph))
+      .join(' ');
+    return 'footnote:' + normalizeWhitespace(text);
+  }
+
+  return kind;
+}
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function buildParagraphKey(text, descriptions) {
+  let objectIndex = 0;
+  return text.replace(new RegExp(INLINE_OBJECT, 'g'), () => `${INLINE_OBJECT}${descriptions[objectIndex++]}${INLINE_OBJECT}`);
+}
+
+function buildListKey(paragraphs) {
+  return 'l:' + paragraphs
+    .map(p => `${p.bullet.nestingLevel || 0}${p.ordered ? '.' : '-'}${p.key}`)
+    .join('\u0001');
+}
+
+/**
+ * @param {Array} rows - Cell texts per row
+ */
+function buildTableKey(rows) {
+  return `t:${rows.length}x${rows[0]?.length || 0}:` +
+    rows.map(row => row.map(text => normalizeWhitespace(text)).join('\u0001')).join('\u0002');
+}
+
+function isBlankParagraph(item) {
+  return !!item && item.text === '' && !item.bullet && !item.table &&
+    !item.paragraphStyle?.borderBottom?.width?.magnitude;
+}
+
+/**
+ * Group converted paragraphs into units the way readDocumentUnits does
+ */
+function groupUnits(paragraphs) {
+  const units = [];
+
+  for (const paragraph of paragraphs) {
+    const previous = units[units.length - 1];
+
+    if (paragraph.table) {
+      const rows = [];
+      for (const cell of paragraph.table.cellData) {
+        rows[cell.row] = rows[cell.row] || [];
+        rows[cell.row][cell.col] = cell.text || '';
+      }
+      units.push({ key: buildTableKey(rows), table: paragraph.table, paragraphs: [paragraph] });
+    } else if (paragraph.bullet && previous && previous.list) {
+      previous.paragraphs.push(paragraph);
+      previous.key = buildListKey(previous.paragraphs);
+    } else if (paragraph.bullet) {
+      units.push({ key: buildListKey([paragraph]), list: true, paragraphs: [paragraph] });
+    } else {
+      units.push({ key: 'p:' + paragraph.key, paragraphs: [paragraph] });
+    }
+  }
+
+  return splitListUnits(units);
+}
+
+/**
+ * Split runs of list items into one unit per list
+ * Lists that meet stay apart; a list that carries on after items of another
+ * (a nested list of another kind) keeps those items with it.
+ */
+function splitListUnits(units) {
+  return units.flatMap(unit => {
+    if (!unit.list) {
+      return [unit];
+    }
+
+    const lastItem = new Map();
+    unit.paragraphs.forEach((paragraph, i) => lastItem.set(paragraph.bullet.listId, i));
+
+    const parts = [];
+    let reach = -1;
+    unit.paragraphs.forEach((paragraph, i) => {
+      if (i > reach) {
+        parts.push([]);
+      }
+      parts[parts.length - 1].push(paragraph);
+      reach = Math.max(reach, lastItem.get(paragraph.bullet.listId));
+    });
+
+    if (parts.length === 1) {
+      return [unit];
+    }
+    return parts.map(paragraphs => ({
+      ...unit,
+      key: buildListKey(paragraphs),
+      paragraphs: paragraphs,
+      ...(unit.startIndex !== undefined && {
+        startIndex: paragraphs[0].startIndex,
+        endIndex: paragraphs[paragraphs.length - 1].endIndex
+      })
+    }));
+  });
+}
+
+/**
+ * Align two unit lists on their keys (longest common subsequence)
+ * A kept table with no blank paragraph before it is replaced when content
+ * in front of it changes, since nothing can be inserted right before it.
+ * @returns {Array} Steps in document order: { type: 'keep' | 'delete' | 'insert', oldUnit, newUnit }
+ */
+function alignUnits(oldUnits, newUnits) {
+  let prefix = 0;
+  while (prefix < oldUnits.length && prefix < newUnits.length && oldUnits[prefix].key === newUnits[prefix].key) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < oldUnits.length - prefix && suffix < newUnits.length - prefix &&
+         oldUnits[oldUnits.length - 1 - suffix].key === newUnits[newUnits.length - 1 - suffix].key) {
+    suffix++;
+  }
+
+  const a = oldUnits.slice(prefix, oldUnits.length - suffix);
+  const b = newUnits.slice(prefix, newUnits.length - suffix);
+
+  // lengths[i * width + j]: LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i].key === b[j].key
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const steps = [];
+  for (let k = 0; k < prefix; k++) {
+    steps.push({ type: 'keep', oldUnit: oldUnits[k], newUnit: newUnits[k] });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].key === b[j].key) {
+      steps.push({ type: 'keep', oldUnit: a[i++], newUnit: b[j++] });
+    } else if (j >= b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      steps.push({ type: 'delete', oldUnit: a[i++] });
+    } else {
+      steps.push({ type: 'insert', newUnit: b[j++] });
+    }
+  }
+
+  for (let k = suffix; k > 0; k--) {
+    steps.push({ type: 'keep', oldUnit: oldUnits[oldUnits.length - k], newUnit: newUnits[newUnits.length - k] });
+  }
+
+  const result = [];
+  for (const step of steps) {
+    const previous = result[result.length - 1];
+    if (step.type === 'keep' && step.oldUnit.bare && previous && previous.type !== 'keep') {
+      result.push({ type: 'delete', oldUnit: step.oldUnit }, { type: 'insert', newUnit: step.newUnit });
+    } else {
+      result.push(step);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Requests that insert units at an index, styled the way the converter styled them
+ * Inserted text takes on the style of the paragraph it lands in, so every
+ * converter-owned field is set or reset explicitly.
+ * @returns {Object} { requests, footnotes }
+ */
+function renderUnits(units, index, context) {
+  const requests = [];
+  const footnotes = [];
+
+  // Leading tabs give list items their nesting level, as in MarkdownToDocsConverter.addList
+  let text = '';
+  const layout = units.flatMap(unit => unit.paragraphs.map(paragraph => {
+    const tabs = paragraph.bullet ? paragraph.bullet.nestingLevel : 0;
+    const start = text.length;
+    text += '\t'.repeat(tabs) + paragraph.text + '\n';
+    return { unit: unit, paragraph: paragraph, start: start, tabs: tabs, textStart: start + tabs };
+  }));
+
+  // Text first, then inline objects and page breaks in ascending order
+  const plainText = text.split(PAGE_BREAK + '\n').join('').split(INLINE_OBJECT).join('');
+  if (plainText) {
+    requests.push({
+      insertText: {
+        location: { index: index },
+        text: plainText
+      }
+    });
+  }
+
+  for (const entry of layout) {
+    let objectIndex = 0;
+
+    entry.paragraph.text.split('').forEach((char, i) => {
+      const location = { index: index + entry.textStart + i };
+
+      if (char === PAGE_BREAK) {
+        requests.push({ insertPageBreak: { location: location } });
+      } else if (char === INLINE_OBJECT) {
+        const object = entry.paragraph.objects[objectIndex++];
+
+        if (object.type === 'image') {
+          requests.push({ insertInlineImage: { ...object.request.insertInlineImage, location: location } });
+        } else {
+          const request = { createFootnote: { location: location } };
+          const footnote = context.conversion.footnotes.find(f => f.request === object.request);
+          requests.push(request);
+          if (footnote) {
+            footnotes.push({ ...footnote, request: request });
+          }
+        }
+      }
+    });
+  }
+
+  // New paragraphs inherit the bullet of a list item they are inserted in front of
+  // (at the body's end, of the last paragraph, which was split to make room)
+  const anchorIndex = Math.min(index, context.bodyEndIndex - 1);
+  const anchor = context.doc.body.content.find(element =>
+    element.paragraph && element.startIndex <= anchorIndex && anchorIndex < element.endIndex);
+  if (anchor?.paragraph.bullet) {
+    requests.push({
+      deleteParagraphBullets: {
+        range: { startIndex: index, endIndex: index + text.length }
+      }
+    });
+  }
+
+  for (const entry of layout) {
+    let run = null;
+    const flush = () => {
+      if (run) {
+        requests.push({
+          updateTextStyle: {
+            range: {
+              startIndex: index + entry.textStart + run.start,
+              endIndex: index + entry.textStart + run.end
+            },
+            textStyle: run.style,
+            fields: TEXT_STYLE_FIELDS.join(',')
+          }
+        });
+      }
+      run = null;
+    };
+
+    entry.paragraph.text.split('').forEach((char, i) => {
+      if (char === PAGE_BREAK) {
+        flush();
+        return;
+      }
+
+      const style = pickFields(entry.paragraph.textStyles[i], TEXT_STYLE_FIELDS);
+      const signature = JSON.stringify(style);
+      if (run && run.signature === signature) {
+        run.end = i + 1;
+        return;
+      }
+
+      flush();
+      run = { signature: signature, style: style, start: i, end: i + 1 };
+    });
+    flush();
+  }
+
+  // Paragraph styles, one request per run of identically styled paragraphs
+  let group = null;
+  const flushGroup = () => {
+    if (group) {
+      requests.push({
+        updateParagraphStyle: {
+          range: { startIndex: group.startIndex, endIndex: group.endIndex },
+          paragraphStyle: group.style,
+          fields: group.fields.join(',')
+        }
+      });
+    }
+    group = null;
+  };
+
+  for (const entry of layout) {
+    const fields = entry.paragraph.bullet
+      ? PARAGRAPH_STYLE_FIELDS.filter(field => !BULLET_INDENT_FIELDS.includes(field))
+      : PARAGRAPH_STYLE_FIELDS;
+    const style = pickFields(getParagraphStyle(entry.paragraph), fields);
+    const signature = JSON.stringify([fields, style]);
+    const endIndex = index + entry.textStart + entry.paragraph.text.length + 1;
+
+    if (group && group.signature === signature) {
+      group.endIndex = endIndex;
+    } else {
+      flushGroup();
+      group = { signature: signature, style: style, fields: fields, startIndex: index + entry.start, endIndex: endIndex };
+    }
+  }
+  flushGroup();
+
+  // Bullets consume the tabs, so lists go bottom-up
+  const lists = [];
+  layout.forEach((entry, i) => {
+    if (!entry.paragraph.bullet) return;
+    if (i > 0 && layout[i - 1].unit === entry.unit) {
+      lists[lists.length - 1].push(entry);
+    } else {
+      lists.push([entry]);
+    }
+  });
+
+  for (const items of lists.reverse()) {
+    requests.push(...renderBullets(items, index));
+  }
+
+  // Tables go in their empty paragraphs once the tabs before them are gone
+  const tables = [];
+  let removedTabs = 0;
+  for (const entry of layout) {
+    if (entry.paragraph.table) {
+      tables.push({ ...entry.paragraph.table, index: index + entry.start - removedTabs });
+    }
+    removedTabs += entry.tabs;
+  }
+  requests.push(...createTableRequests(tables));
+
+  return { requests: requests, footnotes: footnotes };
+}
+
+/**
+ * Bullet one inserted list: the whole list with the first item's preset,
+ * then runs of items with another preset re-bulleted with their tabs
+ * restored, as in MarkdownToDocsConverter.addList
+ */
+function renderBullets(items, index) {
+  const requests = [];
+  const first = items[0];
+  const last = items[items.length - 1];
+  const preset = first.paragraph.bullet.preset;
+
+  requests.push({
+    createParagraphBullets: {
+      range: {
+        startIndex: index + first.start,
+        endIndex: index + last.textStart + last.paragraph.text.length
+      },
+      bulletPreset: preset
+    }
+  });
+
+  let removedTabs = 0;
+  for (const item of items) {
+    item.bulletStart = index + item.start - removedTabs;
+    removedTabs += item.tabs;
+  }
+
+  const groups = [];
+  items.forEach((item, i) => {
+    const itemPreset = item.paragraph.bullet.preset;
+    if (itemPreset === preset) return;
+
+    const previous = groups[groups.length - 1];
+    if (previous && items[i - 1] === previous[previous.length - 1] && items[i - 1].paragraph.bullet.preset === itemPreset) {
+      previous.push(item);
+    } else {
+      groups.push([item]);
+    }
+  });
+
+  for (const group of groups) {
+    let groupTabs = 0;
+
+    for (const item of [...group].reverse()) {
+      groupTabs += item.tabs;
+      if (item.tabs > 0) {
+        requests.push({
+          insertText: {
+            location: { index: item.bulletStart },
+            text: '\t'.repeat(item.tabs)
+          }
+        });
+      }
+    }
+
+    const lastItem = group[group.length - 1];
+    requests.push({
+      createParagraphBullets: {
+        range: {
+          startIndex: group[0].bulletStart,
+          endIndex: lastItem.bulletStart + lastItem.paragraph.text.length + groupTabs
+        },
+        bulletPreset: group[0].paragraph.bullet.preset
+      }
+    });
+  }
+
+  // Indents the converter sets on top of the bullets (lists inside quotes)
+  for (const item of items) {
+    const style = pickFields(item.paragraph.paragraphStyle, BULLET_INDENT_FIELDS);
+    if (Object.keys(style).length > 0) {
+      requests.push({
+        updateParagraphStyle: {
+          range: {
+            startIndex: item.bulletStart,
+            endIndex: item.bulletStart + item.paragraph.text.length + 1
+          },
+          paragraphStyle: style,
+          fields: Object.keys(style).join(',')
+        }
+      });
+    }
+  }
+
+  return requests;
+}
+
+/**
+ * Requests that bring a kept paragraph's formatting in line with the converted one
+ * Only converter-owned fields that differ are sent.
+ */
+function restyleParagraph(oldParagraph, newParagraph, context) {
+  const requests = [];
+
+  // Tables are matched on their text only
+  if (oldParagraph.table) {
+    return requests;
+  }
+
+  const desired = getParagraphStyle(newParagraph);
+  const actual = { namedStyleType: 'NORMAL_TEXT', ...oldParagraph.paragraphStyle };
+  const paragraphFields = PARAGRAPH_STYLE_FIELDS.filter(field =>
+    !(newParagraph.bullet && BULLET_INDENT_FIELDS.includes(field) && desired[field] === undefined) &&
+    normalizeStyle(field, desired[field], context) !== normalizeStyle(field, actual[field], context));
+
+  if (paragraphFields.length > 0) {
+    requests.push({
+      updateParagraphStyle: {
+        range: {
+          startIndex: oldParagraph.startIndex,
+          endIndex: Math.max(oldParagraph.startIndex + 1, Math.min(oldParagraph.endIndex, context.bodyEndIndex - 1))
+        },
+        paragraphStyle: pickFields(desired, paragraphFields),
+        fields: paragraphFields.join(',')
+      }
+    });
+  }
+
+  let run = null;
+  const flush = () => {
+    if (run) {
+      requests.push({
+        updateTextStyle: {
+          range: {
+            startIndex: oldParagraph.startIndex + run.start,
+            endIndex: oldParagraph.startIndex + run.end
+          },
+          textStyle: run.style,
+          fields: run.fields.join(',')
+        }
+      });
+    }
+    run = null;
+  };
+
+  for (let i = 0; i < oldParagraph.text.length; i++) {
+    const char = oldParagraph.text[i];
+    if (char === INLINE_OBJECT || char === PAGE_BREAK) {
+      flush();
+      continue;
+    }
+
+    const desiredStyle = newParagraph.textStyles[i];
+    const actualStyle = oldParagraph.textStyles[i];
+    const fields = TEXT_STYLE_FIELDS.filter(field =>
+      !(desiredStyle.link && LINK_STYLE_FIELDS.includes(field) && desiredStyle[field] === undefined) &&
+      normalizeStyle(field, desiredStyle[field], context) !== normalizeStyle(field, actualStyle[field], context));
+
+    if (fields.length === 0) {
+      flush();
+      continue;
+    }
+
+    const style = pickFields(desiredStyle, fields);
+    const signature = JSON.stringify([fields, style]);
+    if (run && run.signature === signature) {
+      run.end = i + 1;
+      continue;
+    }
+
+    flush();
+    run = { signature: signature, style: style, fields: fields, start: i, end: i + 1 };
+  }
+  flush();
+
+  return requests;
+}
+
+function getParagraphStyle(paragraph) {
+  return { namedStyleType: 'NORMAL_TEXT', ...paragraph.paragraphStyle };
+}
+
+function pickFields(style, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (style[field] !== undefined) {
+      picked[field] = style[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Comparable form of a style value; '' when unset
+ * Docs reads values back with defaults filled in or left out (zero color
+ * components, empty borders, START alignment), so those compare as unset.
+ */
+function normalizeStyle(field, value, context) {
+  if (value === undefined || value === null || value === false) {
+    return '';
+  }
+
+  if (BORDER_FIELDS.includes(field)) {
+    return value.width?.magnitude ? canonicalize(value) : '';
+  }
+
+  switch (field) {
+    case 'weightedFontFamily':
+      return value.fontFamily || '';
+    case 'link':
+      return normalizeLink(value, context);
+    case 'alignment':
+      return value === 'START' ? '' : value;
+    case 'foregroundColor':
+    case 'backgroundColor':
+      return value.color ? canonicalize(value.color) : '';
+    case 'shading':
+      return value.backgroundColor?.color ? canonicalize(value.backgroundColor.color) : '';
+    default:
+      return canonicalize(value);
+  }
+}
+
+/**
+ * Heading links compare by anchor slug, whether resolved to a heading ID yet or not
+ */
+function normalizeLink(link, context) {
+  if (link.headingId) {
+    return '#' + (context.headingSlugs[link.headingId] || `heading=${link.headingId}`);
+  }
+  if (link.bookmarkId) {
+    return '#bookmark=' + link.bookmarkId;
+  }
+
+  const url = link.url || '';
+  if (url.startsWith('#') && !url.startsWith('#heading=')) {
+    return '#' + slugify(decodeAnchor(url.slice(1)));
+  }
+  return url;
+}
+
+/**
+ * Key-order independent string form; numbers rounded, missing color components and magnitudes as 0
+ */
+function canonicalize(value) {
+  if (typeof value === 'number') {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return String(value);
+  }
+
+  let source = value;
+  if (value.rgbColor) {
+    source = { ...value, rgbColor: { red: 0, green: 0, blue: 0, ...value.rgbColor } };
+  } else if (value.unit && value.magnitude === undefined) {
+    source = { ...value, magnitude: 0 };
+  }
+
+  return '{' + Object.keys(source).sort().map(key => `${key}:${canonicalize(source[key])}`).join(',') + '}';
+}
+
+module.exports = {
+  diffDocumentContent
+};
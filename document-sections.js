@@ -88,15 +88,16 @@ function extractTextFromParagraph(paragraph) {
 }
 
 /**
- * Extract content from a specific section (without heading)
+ * Extract content from a specific section (without heading unless includeHeading)
  */
-function extractSectionContent(doc, section) {
+function extractSectionContent(doc, section, includeHeading = false) {
   const content = doc.body.content;
   const elements = [];
+  const startIndex = includeHeading ? section.sectionStartIndex : section.contentStartIndex;
 
   for (const element of content) {
     // Check if element is within section content range
-    if (element.startIndex >= section.contentStartIndex &&
+    if (element.startIndex >= startIndex &&
         element.startIndex < section.contentEndIndex) {
       elements.push(element);
     }
@@ -177,7 +178,8 @@ function printOutline(sections, indent = 0) {
     const prefix = '  '.repeat(indent);
     const levelIndicator = 'H' + section.level;
     const range = `[${section.sectionStartIndex}-${section.sectionEndIndex}]`;
-    lines.push(`${prefix}${levelIndicator}: ${section.title} ${range}`);
+    const id = section.headingId ? ` ${section.headingId}` : '';
+    lines.push(`${prefix}${levelIndicator}: ${section.title} ${range}${id}`);
 
     if (section.children && section.children.length > 0) {
       lines.push(...printOutline(section.children, indent + 1));
@@ -187,19 +189,237 @@ function printOutline(sections, indent = 0) {
   return lines;
 }
 
+// Separator between the titles of a section path: "API > Auth > Tokens"
+const PATH_SEPARATOR = /\s+>\s+/;
+
 /**
- * Find section by title (case-insensitive partial match)
+ * Heading path of each section, from its top-level ancestor down
+ * @returns {Array} Arrays of sections, in the order of sections
  */
-function findSectionByTitle(sections, title) {
-  const searchTitle = title.toLowerCase();
+function getSectionAncestry(sections) {
+  const stack = [];
 
-  for (const section of sections) {
-    if (section.title.toLowerCase().includes(searchTitle)) {
-      return section;
+  return sections.map(section => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= section.level) {
+      stack.pop();
+    }
+    stack.push(section);
+    return [...stack];
+  });
+}
+
+/**
+ * Section path as written in selectors: "API > Auth > Tokens"
+ */
+function formatSectionPath(ancestry) {
+  return ancestry.map(section => section.title).join(' > ');
+}
+
+/**
+ * Select exactly one section
+ * Title parts match part of a heading, case-insensitively; whole-title
+ * matches win over partial ones. A path matches a section whose title
+ * matches its last part and whose ancestors match the parts before it.
+ * @param {Array} sections - Sections from parseDocumentSections
+ * @param {Object} selector
+ * @param {string} selector.title - Title, or path of titles joined by " > "
+ * @param {boolean} selector.exact - Only match whole titles
+ * @param {string} selector.headingId - Heading ID (narrows the title match if both are given)
+ * @param {number} selector.nth - Pick the nth match, from 1, instead of requiring a single one
+ * @returns {Object} Section
+ * @throws {Error} When no section or several sections match; the message lists the candidates
+ */
+function selectSection(sections, selector) {
+  const { title, exact, headingId, nth } = selector;
+  if (!title && !headingId) {
+    throw new Error('No section given (use a title or --heading-id)');
+  }
+
+  const ancestry = getSectionAncestry(sections);
+  let candidates = sections.map((section, i) => i);
+
+  if (headingId) {
+    candidates = candidates.filter(i => sections[i].headingId === headingId);
+  }
+
+  if (title) {
+    const matchesPath = (i, parts, whole) => {
+      const matches = (section, part) => whole
+        ? section.title.trim().toLowerCase() === part.toLowerCase()
+        : section.title.toLowerCase().includes(part.toLowerCase());
+
+      const chain = ancestry[i];
+      if (!matches(chain[chain.length - 1], parts[parts.length - 1])) {
+        return false;
+      }
+
+      // Earlier parts match ancestors in order, not necessarily direct parents
+      let a = chain.length - 2;
+      for (let p = parts.length - 2; p >= 0; p--) {
+        while (a >= 0 && !matches(chain[a], parts[p])) a--;
+        if (a < 0) return false;
+        a--;
+      }
+      return true;
+    };
+
+    // A title that contains " > " itself is tried as a whole if the path matches nothing
+    const readings = [title.split(PATH_SEPARATOR).map(part => part.trim()), [title.trim()]];
+    let matched = [];
+    for (const parts of readings) {
+      matched = candidates.filter(i => matchesPath(i, parts, true));
+      if (matched.length === 0 && !exact) {
+        matched = candidates.filter(i => matchesPath(i, parts, false));
+      }
+      if (matched.length > 0) break;
+    }
+    candidates = matched;
+  }
+
+  const description = [
+    title && `"${title}"`,
+    headingId && `heading ID ${headingId}`
+  ].filter(Boolean).join(' with ');
+  const list = (indices) => indices.map((i, n) => {
+    const section = sections[i];
+    const id = section.headingId ? `, ${section.headingId}` : '';
+    return `  ${n + 1}. ${formatSectionPath(ancestry[i])} (H${section.level}${id})`;
+  });
+
+  if (candidates.length === 0) {
+    throw new Error([
+      `Section not found: ${description}`,
+      'Available sections:',
+      ...list(sections.map((section, i) => i))
+    ].join('\n'));
+  }
+
+  if (nth) {
+    if (nth > candidates.length) {
+      throw new Error([
+        `Only ${candidates.length} section(s) match ${description}, not ${nth}:`,
+        ...list(candidates)
+      ].join('\n'));
     }
+    return sections[candidates[nth - 1]];
   }
 
-  return null;
+  if (candidates.length > 1) {
+    throw new Error([
+      `${candidates.length} sections match ${description}:`,
+      ...list(candidates),
+      'Choose one with a path ("Parent > Title"), --exact, --heading-id or --nth'
+    ].join('\n'));
+  }
+
+  return sections[candidates[0]];
+}
+
+/**
+ * Generate requests moving a section's heading and its subsections' headings up or down
+ * Every heading keeps its level relative to the section's, so the
+ * subsections stay where they are in the outline.
+ * @param {Array} sections - Sections from parseDocumentSections
+ * @param {Object} section - The section to shift
+ * @param {number} offset - Levels to add: -1 promotes, 1 demotes
+ * @returns {Array} Docs API requests, one per heading
+ * @throws {Error} When a heading would go above H1 or below H6
+ */
+function createHeadingLevelRequests(sections, section, offset) {
+  const headings = sections.filter(other =>
+    other.sectionStartIndex >= section.sectionStartIndex &&
+    other.sectionStartIndex < section.sectionEndIndex);
+
+  for (const heading of headings) {
+    const level = heading.level + offset;
+    if (level < 1 || level > 6) {
+      throw new Error(`"${heading.title}" is already H${heading.level}; headings go from H1 to H6`);
+    }
+  }
+
+  return headings.map(heading => ({
+    updateParagraphStyle: {
+      range: {
+        startIndex: heading.headingStartIndex,
+        endIndex: heading.headingEndIndex
+      },
+      paragraphStyle: {
+        namedStyleType: `HEADING_${heading.level + offset}`
+      },
+      fields: 'namedStyleType'
+    }
+  }));
+}
+
+/**
+ * Generate requests changing a heading's text in place
+ * Only the part that differs is replaced, so the paragraph (and its
+ * heading ID, which links point at) stays, as does the formatting of
+ * the unchanged text.
+ * @param {Object} doc - Google Docs API document object
+ * @param {Object} section - Section object from parseDocumentSections
+ * @param {string} title - New heading text
+ * @returns {Array} Docs API requests (empty if the title is unchanged)
+ * @throws {Error} When the replaced part holds an image, footnote or other non-text element
+ */
+function createRenameHeadingRequests(doc, section, title) {
+  const heading = doc.body.content.find(element => element.startIndex === section.headingStartIndex);
+
+  // Text characters with their indices; images and footnote references sit between them
+  const characters = [];
+  const objectIndices = [];
+  for (const element of heading.paragraph.elements || []) {
+    if (element.textRun) {
+      element.textRun.content.replace(/\n$/, '').split('').forEach((char, i) => {
+        characters.push({ char: char, index: element.startIndex + i });
+      });
+    } else {
+      objectIndices.push(element.startIndex);
+    }
+  }
+
+  const length = characters.length;
+  let prefix = 0;
+  while (prefix < length && prefix < title.length && characters[prefix].char === title[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < length - prefix && suffix < title.length - prefix &&
+    characters[length - 1 - suffix].char === title[title.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  let startIndex = section.headingStartIndex;
+  if (prefix < length) {
+    startIndex = characters[prefix].index;
+  } else if (length > 0) {
+    startIndex = characters[length - 1].index + 1;
+  }
+  const endIndex = length - suffix > prefix ? characters[length - suffix - 1].index + 1 : startIndex;
+  const text = title.slice(prefix, title.length - suffix);
+
+  if (objectIndices.some(index => index >= startIndex && index < endIndex)) {
+    throw new Error(`"${section.title}" has an image or footnote in the text being replaced`);
+  }
+
+  const requests = [];
+  if (endIndex > startIndex) {
+    requests.push({
+      deleteContentRange: {
+        range: { startIndex: startIndex, endIndex: endIndex }
+      }
+    });
+  }
+  if (text) {
+    requests.push({
+      insertText: {
+        location: { index: startIndex },
+        text: text
+      }
+    });
+  }
+
+  return requests;
 }
 
 /**
@@ -239,6 +459,89 @@ function createDeleteSectionRequest(section) {
   };
 }
 
+/**
+ * Generate requests removing a section without a trace, e.g. after copying it elsewhere
+ * Unlike createDeleteSectionRequest no paragraph is left behind, except
+ * at the end of the body: its final newline can't be deleted, so the
+ * paragraph it ends stays, empty and plain.
+ * @param {Object} doc - Google Docs API document object
+ * @param {Object} section - Section object from parseDocumentSections
+ * @returns {Array} Docs API requests
+ */
+function createRemoveSectionRequests(doc, section) {
+  const content = doc.body.content;
+  const bodyEndIndex = content[content.length - 1].endIndex;
+
+  if (section.sectionEndIndex < bodyEndIndex) {
+    return [{
+      deleteContentRange: {
+        range: {
+          startIndex: section.sectionStartIndex,
+          endIndex: section.sectionEndIndex
+        }
+      }
+    }];
+  }
+
+  const range = { startIndex: section.sectionStartIndex, endIndex: section.sectionStartIndex + 1 };
+  return [
+    {
+      deleteContentRange: {
+        range: {
+          startIndex: section.sectionStartIndex,
+          endIndex: bodyEndIndex - 1
+        }
+      }
+    },
+    {
+      updateParagraphStyle: {
+        range: { ...range },
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType'
+      }
+    },
+    { deleteParagraphBullets: { range: { ...range } } }
+  ];
+}
+
+/**
+ * Requests that open an empty paragraph in front of an index, e.g. for a new table
+ * The paragraph is split off the end of the element before the index when
+ * that is a paragraph, so the heading at the index keeps its ID. Either way
+ * it ends up at the index, as plain text.
+ * @param {Object} doc - Google Docs API document object
+ * @param {number} index - Start of an element, or the end of the body
+ * @returns {Array} Docs API requests
+ */
+function createEmptyParagraphRequests(doc, index) {
+  const content = doc.body.content;
+  const previous = content.find(element => element.endIndex === index);
+  const split = previous?.paragraph ? previous : content.find(element => element.startIndex === index);
+
+  const range = { startIndex: index, endIndex: index + 1 };
+  const requests = [
+    {
+      insertText: {
+        location: { index: previous?.paragraph ? index - 1 : index },
+        text: '\n'
+      }
+    },
+    {
+      updateParagraphStyle: {
+        range: { ...range },
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType'
+      }
+    }
+  ];
+
+  if (split?.paragraph?.bullet) {
+    requests.push({ deleteParagraphBullets: { range: { ...range } } });
+  }
+
+  return requests;
+}
+
 /**
  * Search for text in document
  * @param {Object} doc - Google Docs API document object
@@ -291,14 +594,150 @@ function searchInDocument(doc, query, section = null) {
   return matches;
 }
 
+/**
+ * Turn a heading title into a GitHub-style anchor slug
+ * Lowercase, punctuation removed, spaces replaced by hyphens
+ */
+function slugify(title) {
+  return title
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Decode the percent-escapes of a `#` link's anchor
+ * A malformed escape (e.g. `#100%`) leaves the anchor as written.
+ */
+function decodeAnchor(anchor) {
+  try {
+    return decodeURIComponent(anchor);
+  } catch (error) {
+    return anchor;
+  }
+}
+
+/**
+ * Create slug generator that disambiguates repeats like GitHub (setup, setup-1, ...)
+ */
+function createSlugger() {
+  const seen = {};
+
+  return (title) => {
+    const base = slugify(title);
+    let slug = base;
+
+    if (seen[base] !== undefined) {
+      seen[base]++;
+      slug = `${base}-${seen[base]}`;
+    } else {
+      seen[base] = 0;
+    }
+    return slug;
+  };
+}
+
+/**
+ * Map anchor slugs to heading IDs
+ * @param {Array} sections - Sections from parseDocumentSections
+ * @returns {Object} slug -> headingId
+ */
+function buildHeadingAnchors(sections) {
+  const slugger = createSlugger();
+  const anchors = {};
+
+  for (const section of sections) {
+    const slug = slugger(section.title);
+    if (section.headingId) {
+      anchors[slug] = section.headingId;
+    }
+  }
+
+  return anchors;
+}
+
+/**
+ * Visit every text run in the body, including those inside tables
+ */
+function forEachTextRun(content, callback) {
+  for (const element of content) {
+    if (element.paragraph) {
+      for (const textElement of element.paragraph.elements || []) {
+        if (textElement.textRun) {
+          callback(textElement);
+        }
+      }
+    } else if (element.table) {
+      for (const row of element.table.tableRows) {
+        for (const cell of row.tableCells) {
+          forEachTextRun(cell.content || [], callback);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Generate requests pointing `#slug` links at the matching headings
+ * @param {Object} doc - Google Docs API document object
+ * @returns {Object} { requests: Array, unresolved: Array of slugs without a heading }
+ */
+function createHeadingLinkRequests(doc) {
+  const anchors = buildHeadingAnchors(parseDocumentSections(doc));
+  const requests = [];
+  const unresolved = [];
+
+  forEachTextRun(doc.body.content, (textElement) => {
+    const url = textElement.textRun.textStyle?.link?.url;
+    if (!url || !url.startsWith('#') || url.startsWith('#heading=')) {
+      return;
+    }
+
+    const slug = slugify(decodeAnchor(url.slice(1)));
+    const headingId = anchors[slug];
+
+    if (!headingId) {
+      unresolved.push(slug);
+      return;
+    }
+
+    requests.push({
+      updateTextStyle: {
+        range: {
+          startIndex: textElement.startIndex,
+          endIndex: textElement.endIndex
+        },
+        textStyle: {
+          link: { headingId: headingId }
+        },
+        fields: 'link'
+      }
+    });
+  });
+
+  return { requests, unresolved };
+}
+
 module.exports = {
   parseDocumentSections,
+  extractTextFromParagraph,
   extractSectionContent,
   formatSectionAsText,
   buildOutline,
   printOutline,
-  findSectionByTitle,
+  selectSection,
+  createHeadingLevelRequests,
+  createRenameHeadingRequests,
   createDeleteSectionContentRequest,
   createDeleteSectionRequest,
-  searchInDocument
+  createRemoveSectionRequests,
+  createEmptyParagraphRequests,
+  searchInDocument,
+  slugify,
+  decodeAnchor,
+  createSlugger,
+  buildHeadingAnchors,
+  forEachTextRun,
+  createHeadingLinkRequests
 };
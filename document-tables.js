@@ -0,0 +1,466 @@
+/**
+ * Table layout and creation requests
+ *
+ * Docs lays out a new table deterministically. insertTable at the index of
+ * an empty paragraph adds a newline first, so the table starts one index
+ * later; the table, each row and each cell then take one index, and every
+ * new cell holds a single empty paragraph:
+ *
+ *   cell (r, c) paragraph = index + 4 + r * (2 * columns + 1) + 2 * c
+ *
+ * Tables are therefore created and filled in the same batch as the text
+ * around them: last table first, and within a table last cell first, so no
+ * request moves an index that a later request relies on.
+ *
+ * Existing tables are edited the same way: rows and columns are added or
+ * removed through their table start (which no edit moves), and cell text is
+ * then rewritten at positions computed from the resulting layout.
+ */
+
+const { parseDocumentSections, extractTextFromParagraph } = require('./document-sections');
+
+// GFM column alignment to Docs paragraph alignment
+const COLUMN_ALIGNMENT = {
+  left: 'START',
+  center: 'CENTER',
+  right: 'END'
+};
+
+// Plain or grouped decimal numbers: -12, 3.5, 1,234.50
+const NUMBER_PATTERN = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?$/;
+
+/**
+ * Index of the paragraph in a cell of a table created at an index
+ * @param {number} index - Index insertTable was given (an empty paragraph)
+ * @param {number} columns - Number of columns
+ */
+function getCellIndex(index, columns, row, col) {
+  return index + 4 + row * (2 * columns + 1) + 2 * col;
+}
+
+/**
+ * Start index of a table created at an index (for tableStartLocation)
+ */
+function getTableStartIndex(index) {
+  return index + 1;
+}
+
+/**
+ * Requests that create and fill tables
+ * Send them after the requests that insert the empty paragraphs the tables go in.
+ * @param {Array} tables - Table metadata from MarkdownToDocsConverter:
+ *   { index, rows, cols, cellData: [{ row, col, text, styles, bold, align }],
+ *     baseStyle, headerBackground, pinHeader }
+ *   pinHeader may be a number of rows; copied tables (see document-copy.js)
+ *   also carry cellStyles: [{ row, col, tableCellStyle, fields }] and
+ *   columnProperties: [{ column, tableColumnProperties, fields }]
+ * @returns {Array} Docs API requests
+ */
+function createTableRequests(tables) {
+  const requests = [];
+
+  for (const table of [...tables].sort((a, b) => b.index - a.index)) {
+    requests.push({
+      insertTable: {
+        location: { index: table.index },
+        rows: table.rows,
+        columns: table.cols
+      }
+    });
+
+    const cells = [...table.cellData].sort((a, b) => b.row - a.row || b.col - a.col);
+    for (const cell of cells) {
+      requests.push(...createCellRequests(table, cell));
+    }
+
+    // Header row styling; cell text never moves the table start
+    const tableStartIndex = getTableStartIndex(table.index);
+
+    if (table.headerBackground) {
+      requests.push({
+        updateTableCellStyle: {
+          tableRange: {
+            tableCellLocation: {
+              tableStartLocation: { index: tableStartIndex },
+              rowIndex: 0,
+              columnIndex: 0
+            },
+            rowSpan: 1,
+            columnSpan: table.cols
+          },
+          tableCellStyle: {
+            backgroundColor: { color: { rgbColor: table.headerBackground } }
+          },
+          fields: 'backgroundColor'
+        }
+      });
+    }
+
+    for (const { row, col, tableCellStyle, fields } of table.cellStyles || []) {
+      requests.push({
+        updateTableCellStyle: {
+          tableRange: {
+            tableCellLocation: {
+              tableStartLocation: { index: tableStartIndex },
+              rowIndex: row,
+              columnIndex: col
+            },
+            rowSpan: 1,
+            columnSpan: 1
+          },
+          tableCellStyle: tableCellStyle,
+          fields: fields
+        }
+      });
+    }
+
+    for (const { column, tableColumnProperties, fields } of table.columnProperties || []) {
+      requests.push({
+        updateTableColumnProperties: {
+          tableStartLocation: { index: tableStartIndex },
+          columnIndices: [column],
+          tableColumnProperties: tableColumnProperties,
+          fields: fields
+        }
+      });
+    }
+
+    if (table.pinHeader) {
+      requests.push({
+        pinTableHeaderRows: {
+          tableStartLocation: { index: tableStartIndex },
+          pinnedHeaderRowsCount: table.pinHeader === true ? 1 : table.pinHeader
+        }
+      });
+    }
+  }
+
+  return requests;
+}
+
+/**
+ * Insert and style the text of one cell
+ */
+function createCellRequests(table, cell) {
+  const { row, col, text, bold, styles, align } = cell;
+
+  if (!text || text.trim().length === 0 || row >= table.rows || col >= table.cols) {
+    return [];
+  }
+
+  const startIndex = getCellIndex(table.index, table.cols, row, col);
+  // A fresh range per request; callers shift indices in place
+  const range = () => ({ startIndex: startIndex, endIndex: startIndex + text.length });
+  const requests = [{
+    insertText: {
+      location: { index: startIndex },
+      text: text
+    }
+  }];
+
+  // The default font from front matter goes before any cell formatting
+  if (table.baseStyle && table.baseStyle.fields.length > 0) {
+    requests.push({
+      updateTextStyle: {
+        range: range(),
+        textStyle: table.baseStyle.textStyle,
+        fields: table.baseStyle.fields.join(',')
+      }
+    });
+  }
+
+  if (bold) {
+    requests.push({
+      updateTextStyle: {
+        range: range(),
+        textStyle: {
+          bold: true
+        },
+        fields: 'bold'
+      }
+    });
+  }
+
+  // Inline formatting runs (links, italics, code, ...) are relative to the cell start
+  for (const style of styles || []) {
+    requests.push({
+      updateTextStyle: {
+        ...style,
+        range: {
+          startIndex: startIndex + style.range.startIndex,
+          endIndex: startIndex + style.range.endIndex
+        }
+      }
+    });
+  }
+
+  if (COLUMN_ALIGNMENT[align]) {
+    requests.push({
+      updateParagraphStyle: {
+        range: range(),
+        paragraphStyle: {
+          alignment: COLUMN_ALIGNMENT[align]
+        },
+        fields: 'alignment'
+      }
+    });
+  }
+
+  return requests;
+}
+
+/**
+ * Parse a number as written in a cell (see NUMBER_PATTERN)
+ * @returns {number|null} null for anything else
+ */
+function parseCellNumber(text) {
+  const value = text.trim();
+  if (!/\d/.test(value) || !NUMBER_PATTERN.test(value)) {
+    return null;
+  }
+  return Number(value.replace(/,/g, ''));
+}
+
+/**
+ * Formatter for a spreadsheet-style number pattern
+ * @param {string} pattern - 0, 0.00, #,##0, #,##0.00, 0.0%, ...
+ * @returns {Function} number => string
+ * @throws {Error} For other patterns
+ */
+function createNumberFormatter(pattern) {
+  const match = /^(#,##)?0(?:\.(0+))?(%)?$/.exec(pattern);
+  if (!match) {
+    throw new Error(`Unsupported number format: ${pattern} (expected e.g. 0.00, #,##0 or 0.0%)`);
+  }
+
+  const decimals = match[2] ? match[2].length : 0;
+  const format = new Intl.NumberFormat('en-US', {
+    useGrouping: !!match[1],
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+
+  return match[3] ? (value) => format.format(value * 100) + '%' : (value) => format.format(value);
+}
+
+/**
+ * Table metadata for createTableRequests from rows of plain text (e.g. a CSV file)
+ * @param {Array} rows - Rows of cell text; short rows are padded
+ * @param {Object} options
+ * @param {number} options.index - Index of the empty paragraph the table goes in
+ * @param {boolean} options.header - The first row is a header
+ * @param {Array} options.align - Per column: left, center, right or auto (the
+ *   default), which right-aligns columns of numbers
+ * @param {Function} options.formatNumber - Rewrites numbers outside the header
+ * @param {Object} options.theme - MarkdownToDocsConverter.getTableTheme() result;
+ *   header styling only applies with a header
+ */
+function buildTableFromRows(rows, options) {
+  const { header, theme } = options;
+  const cols = Math.max(...rows.map(row => row.length));
+  const bodyStart = header ? 1 : 0;
+
+  const align = [];
+  for (let col = 0; col < cols; col++) {
+    const requested = options.align?.[col] || 'auto';
+    if (requested !== 'auto') {
+      align.push(requested);
+      continue;
+    }
+
+    const values = rows.slice(bodyStart).map(row => row[col] || '').filter(text => text.trim());
+    const numeric = values.length > 0 && values.every(text => parseCellNumber(text) !== null);
+    align.push(numeric ? 'right' : undefined);
+  }
+
+  const cellData = [];
+  rows.forEach((row, r) => {
+    for (let col = 0; col < cols; col++) {
+      let text = (row[col] || '').replace(/\r\n?/g, '\n');
+      const number = r >= bodyStart && options.formatNumber ? parseCellNumber(text) : null;
+      if (number !== null) {
+        text = options.formatNumber(number);
+      }
+
+      cellData.push({
+        row: r,
+        col: col,
+        text: text,
+        styles: [],
+        bold: header && r === 0 && theme.headerBold,
+        align: align[col]
+      });
+    }
+  });
+
+  return {
+    index: options.index,
+    rows: rows.length,
+    cols: cols,
+    cellData: cellData,
+    baseStyle: theme.baseStyle,
+    headerBackground: header ? theme.headerBackground : null,
+    pinHeader: header && theme.pinHeader
+  };
+}
+
+/**
+ * Tables of a document in order, with the innermost section around each
+ * @param {Object} doc - Google Docs API document object
+ * @returns {Array} [{ index, startIndex, endIndex, rows, columns, section, cells, element }]
+ *   index is the table's position in the document; cells holds each
+ *   cell's text (paragraphs joined with newlines) by row
+ */
+function findTables(doc) {
+  const sections = parseDocumentSections(doc);
+
+  return doc.body.content.filter(element => element.table).map((element, index) => {
+    // Sections nest, so the last one containing the table is the innermost
+    const enclosing = sections.filter(section =>
+      section.sectionStartIndex <= element.startIndex && element.startIndex < section.sectionEndIndex);
+
+    return {
+      index: index,
+      startIndex: element.startIndex,
+      endIndex: element.endIndex,
+      rows: element.table.rows,
+      columns: element.table.columns,
+      section: enclosing.length > 0 ? enclosing[enclosing.length - 1].title : null,
+      cells: element.table.tableRows.map(row => row.tableCells.map(getCellText)),
+      element: element
+    };
+  });
+}
+
+function getCellText(cell) {
+  return (cell.content || [])
+    .filter(element => element.paragraph)
+    .map(element => extractTextFromParagraph(element.paragraph))
+    .join('\n');
+}
+
+/**
+ * Requests that restructure an existing table and rewrite cell text, in one batch
+ * @param {Object} table - Table from findTables()
+ * @param {Array} operations - Structural edits, applied in order:
+ *   { type: 'insertRow' | 'insertColumn', index } adds an empty row/column
+ *   that ends up at index; { type: 'deleteRow' | 'deleteColumn', index }
+ * @param {Array} cells - [{ row, col, text }] addressed after the operations;
+ *   cells whose text is unchanged are left alone
+ * @returns {Array} Docs API requests
+ * @throws {Error} When an index is out of range or the table would be left empty
+ */
+function createTableEditRequests(table, operations, cells = []) {
+  const requests = [];
+  const cellLocation = (row, col) => ({
+    tableStartLocation: { index: table.startIndex },
+    rowIndex: row,
+    columnIndex: col
+  });
+
+  // Text and content length of every cell, kept in step with the edits
+  const grid = table.element.table.tableRows.map((row, r) => row.tableCells.map((cell, c) => ({
+    text: table.cells[r][c],
+    length: cell.endIndex - cell.startIndex - 1
+  })));
+  const emptyCell = () => ({ text: '', length: 1 });
+  const columnCount = () => grid[0].length;
+
+  for (const { type, index } of operations) {
+    const isRow = type === 'insertRow' || type === 'deleteRow';
+    const count = isRow ? grid.length : columnCount();
+    const limit = type.startsWith('insert') ? count : count - 1;
+
+    if (!Number.isInteger(index) || index < 0 || index > limit) {
+      throw new Error(`${isRow ? 'Row' : 'Column'} ${index} is out of range (0-${limit})`);
+    }
+
+    switch (type) {
+      case 'insertRow':
+        requests.push({
+          insertTableRow: {
+            tableCellLocation: cellLocation(Math.max(index - 1, 0), 0),
+            insertBelow: index > 0
+          }
+        });
+        grid.splice(index, 0, Array.from({ length: columnCount() }, emptyCell));
+        break;
+      case 'insertColumn':
+        requests.push({
+          insertTableColumn: {
+            tableCellLocation: cellLocation(0, Math.max(index - 1, 0)),
+            insertRight: index > 0
+          }
+        });
+        grid.forEach(row => row.splice(index, 0, emptyCell()));
+        break;
+      case 'deleteRow':
+        if (grid.length === 1) {
+          throw new Error('Can\'t delete the only row of a table');
+        }
+        requests.push({ deleteTableRow: { tableCellLocation: cellLocation(index, 0) } });
+        grid.splice(index, 1);
+        break;
+      case 'deleteColumn':
+        if (columnCount() === 1) {
+          throw new Error('Can\'t delete the only column of a table');
+        }
+        requests.push({ deleteTableColumn: { tableCellLocation: cellLocation(0, index) } });
+        grid.forEach(row => row.splice(index, 1));
+        break;
+      default:
+        throw new Error(`Unknown table operation: ${type}`);
+    }
+  }
+
+  // Content start of every cell in the edited table: the table, each row and
+  // each cell take one index before their content
+  let position = table.startIndex + 1;
+  for (const row of grid) {
+    position += 1;
+    for (const cell of row) {
+      cell.startIndex = position + 1;
+      position += 1 + cell.length;
+    }
+  }
+
+  // Bottom-up, so rewriting a cell never moves one still to be written
+  const sorted = [...cells].sort((a, b) => b.row - a.row || b.col - a.col);
+  for (const { row, col, text } of sorted) {
+    if (!grid[row] || !grid[row][col]) {
+      throw new Error(`Cell ${row},${col} is out of range (table is ${grid.length}x${columnCount()})`);
+    }
+
+    const cell = grid[row][col];
+    if (cell.text === text) continue;
+
+    // The cell's last newline can't be deleted
+    if (cell.length > 1) {
+      requests.push({
+        deleteContentRange: {
+          range: { startIndex: cell.startIndex, endIndex: cell.startIndex + cell.length - 1 }
+        }
+      });
+    }
+    if (text) {
+      requests.push({
+        insertText: {
+          location: { index: cell.startIndex },
+          text: text
+        }
+      });
+    }
+  }
+
+  return requests;
+}
+
+module.exports = {
+  getCellIndex,
+  getTableStartIndex,
+  createTableRequests,
+  createNumberFormatter,
+  buildTableFromRows,
+  findTables,
+  createTableEditRequests
+};
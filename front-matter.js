@@ -0,0 +1,191 @@
+/**
+ * YAML front matter: document metadata and page setup
+ *
+ * Supported keys:
+ *   title        - Title for newly created documents
+ *   documentId   - Document the file syncs to (replaces -d)
+ *   pageSize     - A3, A4, A5, Letter, Legal, Tabloid or { width, height }
+ *   orientation  - portrait | landscape
+ *   margins      - One value for all sides or { top, bottom, left, right }
+ *   font         - Default font family
+ *   fontSize     - Default font size
+ *   color        - Default text color (hex)
+ *   lineSpacing  - Multiplier (1.15) or percentage (115)
+ *
+ * Lengths are points unless suffixed with in, cm, mm, pt or px.
+ */
+
+const yaml = require('js-yaml');
+const { parseColor } = require('./theme');
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Page sizes in points (portrait)
+const PAGE_SIZES = {
+  a3: { width: 841.89, height: 1190.55 },
+  a4: { width: 595.28, height: 841.89 },
+  a5: { width: 419.53, height: 595.28 },
+  letter: { width: 612, height: 792 },
+  legal: { width: 612, height: 1008 },
+  tabloid: { width: 792, height: 1224 }
+};
+
+const POINTS_PER_UNIT = {
+  pt: 1,
+  in: 72,
+  cm: 72 / 2.54,
+  mm: 72 / 25.4,
+  px: 0.75
+};
+
+/**
+ * Split front matter from markdown
+ * @param {string} markdown - Markdown source
+ * @returns {Object} { data: parsed front matter ({} if none), content: markdown without it }
+ */
+function parseFrontMatter(markdown) {
+  const match = FRONT_MATTER_PATTERN.exec(markdown);
+  if (!match) {
+    return { data: {}, content: markdown };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1] || '') || {};
+  } catch (error) {
+    throw new Error(`Invalid front matter: ${error.message}`);
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Front matter must be a YAML mapping');
+  }
+
+  return { data: data, content: markdown.slice(match[0].length) };
+}
+
+/**
+ * Convert a length (number of points or string with unit) to points
+ */
+function toPoints(value, key) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(pt|in|cm|mm|px)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid length for ${key}: ${value}`);
+  }
+
+  return parseFloat(match[1]) * POINTS_PER_UNIT[(match[2] || 'pt').toLowerCase()];
+}
+
+/**
+ * Build updateDocumentStyle requests for page setup keys
+ * @param {Object} data - Parsed front matter
+ * @returns {Array} Zero or one Google Docs API request
+ */
+function buildDocumentStyleRequests(data) {
+  const documentStyle = {};
+  const fields = [];
+
+  if (data.pageSize || data.orientation) {
+    let size;
+    if (!data.pageSize) {
+      size = { ...PAGE_SIZES.letter };
+    } else if (typeof data.pageSize === 'string') {
+      size = PAGE_SIZES[data.pageSize.toLowerCase()];
+      if (!size) {
+        throw new Error(`Unknown page size: ${data.pageSize}`);
+      }
+      size = { ...size };
+    } else {
+      size = {
+        width: toPoints(data.pageSize.width, 'pageSize.width'),
+        height: toPoints(data.pageSize.height, 'pageSize.height')
+      };
+    }
+
+    const orientation = (data.orientation || 'portrait').toLowerCase();
+    if (orientation !== 'portrait' && orientation !== 'landscape') {
+      throw new Error(`Unknown orientation: ${data.orientation}`);
+    }
+
+    const landscape = orientation === 'landscape';
+    const width = landscape ? Math.max(size.width, size.height) : Math.min(size.width, size.height);
+    const height = landscape ? Math.min(size.width, size.height) : Math.max(size.width, size.height);
+
+    documentStyle.pageSize = {
+      width: { magnitude: width, unit: 'PT' },
+      height: { magnitude: height, unit: 'PT' }
+    };
+    fields.push('pageSize');
+  }
+
+  if (data.margins !== undefined) {
+    const margins = typeof data.margins === 'object'
+      ? data.margins
+      : { top: data.margins, bottom: data.margins, left: data.margins, right: data.margins };
+
+    for (const side of ['top', 'bottom', 'left', 'right']) {
+      if (margins[side] !== undefined) {
+        const field = 'margin' + side[0].toUpperCase() + side.slice(1);
+        documentStyle[field] = { magnitude: toPoints(margins[side], `margins.${side}`), unit: 'PT' };
+        fields.push(field);
+      }
+    }
+  }
+
+  if (fields.length === 0) {
+    return [];
+  }
+
+  return [{
+    updateDocumentStyle: {
+      documentStyle: documentStyle,
+      fields: fields.join(',')
+    }
+  }];
+}
+
+/**
+ * Default text and paragraph styling from front matter
+ * @param {Object} data - Parsed front matter
+ * @returns {Object} { textStyle, fields, lineSpacing } (fields empty / lineSpacing null when unset)
+ */
+function getBaseStyle(data) {
+  const textStyle = {};
+  const fields = [];
+
+  if (data.font) {
+    textStyle.weightedFontFamily = { fontFamily: String(data.font) };
+    fields.push('weightedFontFamily');
+  }
+
+  if (data.fontSize !== undefined) {
+    textStyle.fontSize = { magnitude: toPoints(data.fontSize, 'fontSize'), unit: 'PT' };
+    fields.push('fontSize');
+  }
+
+  if (data.color) {
+    textStyle.foregroundColor = { color: { rgbColor: parseColor(data.color) } };
+    fields.push('foregroundColor');
+  }
+
+  let lineSpacing = null;
+  if (data.lineSpacing !== undefined) {
+    const value = parseFloat(data.lineSpacing);
+    if (isNaN(value) || value <= 0) {
+      throw new Error(`Invalid lineSpacing: ${data.lineSpacing}`);
+    }
+    // Docs expects a percentage; small values are multipliers
+    lineSpacing = value < 10 ? Math.round(value * 100) : value;
+  }
+
+  return { textStyle: textStyle, fields: fields, lineSpacing: lineSpacing };
+}
+
+module.exports = {
+  parseFrontMatter,
+  buildDocumentStyleRequests,
+  getBaseStyle
+};
@@ -1,21 +1,52 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const { google } = require('googleapis');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const MarkdownToDocsConverter = require('./markdown-to-docs');
+const DocsToMarkdownConverter = require('./docs-to-markdown');
+const DocsToHtmlConverter = require('./docs-to-html');
+const DocsToTextConverter = require('./docs-to-text');
+const { buildDocumentBlocks } = require('./document-blocks');
+const { diffDocumentContent } = require('./document-diff');
+const {
+  createTableRequests,
+  createNumberFormatter,
+  buildTableFromRows,
+  findTables,
+  createTableEditRequests
+} = require('./document-tables');
+const { createCopyRequests, createHeadingRelinkRequests } = require('./document-copy');
+const { parseCsv, formatCsv } = require('./csv');
 const {
   parseDocumentSections,
   buildOutline,
   printOutline,
-  findSectionByTitle,
+  selectSection,
+  createHeadingLevelRequests,
+  createRenameHeadingRequests,
   formatSectionAsText,
-  createDeleteSectionContentRequest,
+  extractSectionContent,
   createDeleteSectionRequest,
-  searchInDocument
+  createRemoveSectionRequests,
+  createEmptyParagraphRequests,
+  searchInDocument,
+  createHeadingLinkRequests
 } = require('./document-sections');
+const { createImageUploader, resolveImageSources } = require('./image-uploader');
+const { parseFrontMatter, buildDocumentStyleRequests } = require('./front-matter');
+const {
+  loadSyncState,
+  saveSyncState,
+  splitMarkdownSections,
+  splitDocumentSections,
+  mergeSections,
+  joinSections,
+  hasConflictMarkers
+} = require('./markdown-sync');
+const { parseColor, loadTheme } = require('./theme');
 
 // Configuration - use user home directory for credentials
 const AUTH_DIR = path.join(os.homedir(), '.gdoc');
@@ -186,6 +217,152 @@ function parseJSON(value) {
   return JSON.parse(value);
 }
 
+/**
+ * Parse a hex color (#rgb or #rrggbb) into a Docs rgbColor
+ */
+function parseHexColor(value) {
+  try {
+    return parseColor(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Exporters by --format name: (doc, elements) => string
+ */
+const EXPORT_FORMATS = {
+  markdown: (doc, elements) => new DocsToMarkdownConverter().convert(doc, elements),
+  html: (doc, elements) => new DocsToHtmlConverter().convert(doc, elements),
+  txt: (doc, elements) => new DocsToTextConverter().convert(doc, elements),
+  json: (doc, elements) => JSON.stringify(buildDocumentBlocks(doc, elements), null, 2) + '\n'
+};
+
+function parseExportFormat(value) {
+  const format = value.toLowerCase() === 'md' ? 'markdown' : value.toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new InvalidArgumentError(`Unknown format: ${value} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Table read formats by --format name: (doc, table) => string
+ */
+const TABLE_FORMATS = {
+  csv: (doc, table) => formatCsv(table.cells),
+  json: (doc, table) => JSON.stringify(table.cells, null, 2) + '\n',
+  markdown: (doc, table) => new DocsToMarkdownConverter().convert(doc, [table.element])
+};
+
+function parseTableFormat(value) {
+  const format = value.toLowerCase() === 'md' ? 'markdown' : value.toLowerCase();
+  if (!TABLE_FORMATS[format]) {
+    throw new InvalidArgumentError(`Unknown format: ${value} (expected ${Object.keys(TABLE_FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Parse a 0-based table, row or column number
+ */
+function parseIndexOption(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new InvalidArgumentError('Expected a number (0 or more)');
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse cell values given as one CSV line ("a,b,\"c, d\"")
+ */
+function parseCsvLine(value) {
+  try {
+    return parseCsv(value)[0] || [];
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+// Named field separators for --delimiter
+const DELIMITERS = {
+  tab: '\t',
+  comma: ',',
+  semicolon: ';',
+  pipe: '|'
+};
+
+function parseDelimiter(value) {
+  const delimiter = DELIMITERS[value.toLowerCase()] || (value === '\\t' ? '\t' : value);
+  if (delimiter.length !== 1) {
+    throw new InvalidArgumentError(`Expected one character or ${Object.keys(DELIMITERS).join(', ')}`);
+  }
+  return delimiter;
+}
+
+function parseQuoteChar(value) {
+  if (value.length !== 1) {
+    throw new InvalidArgumentError('Expected one character');
+  }
+  return value;
+}
+
+/**
+ * Read the rows of --csv with the --delimiter and --quote options
+ * .tsv files are tab-separated unless --delimiter says otherwise.
+ */
+function readCsvFile(options) {
+  if (!fs.existsSync(options.csv)) {
+    throw new Error(`File not found: ${options.csv}`);
+  }
+  const isTsv = path.extname(options.csv).toLowerCase() === '.tsv';
+  const rows = parseCsv(fs.readFileSync(options.csv, 'utf-8'), {
+    delimiter: options.delimiter || (isTsv ? '\t' : ','),
+    quote: options.quote
+  });
+  if (rows.length === 0) {
+    throw new Error(`No rows in ${options.csv}`);
+  }
+  return rows;
+}
+
+/**
+ * Parse comma-separated column alignments (left, center, right, auto or l, c, r, a)
+ */
+function parseAlignments(value) {
+  const names = { l: 'left', c: 'center', r: 'right', a: 'auto' };
+  return value.split(',').map(entry => {
+    const name = entry.trim().toLowerCase();
+    const alignment = names[name] || name;
+    if (!['left', 'center', 'right', 'auto'].includes(alignment)) {
+      throw new InvalidArgumentError(`Unknown alignment: ${entry} (expected left, center, right or auto)`);
+    }
+    return alignment;
+  });
+}
+
+function parseNumberFormat(value) {
+  try {
+    return createNumberFormatter(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseSyncSide(value) {
+  if (value !== 'local' && value !== 'remote') {
+    throw new InvalidArgumentError('Expected "local" or "remote"');
+  }
+  return value;
+}
+
+/**
+ * Accumulate a repeatable CLI option into an array
+ */
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
 /**
  * Pretty print JSON output
  */
@@ -193,6 +370,59 @@ function output(data) {
   console.log(JSON.stringify(data, null, 2));
 }
 
+/**
+ * Create a markdown converter from CLI options and load its plugins
+ * A plugin module exports a function (or a register() function) that
+ * receives the converter and registers handlers, hooks and marked extensions.
+ */
+function createConverter(options) {
+  const converter = new MarkdownToDocsConverter({
+    codeCaptions: options.codeCaptions,
+    tableHeaderBackground: options.tableHeaderBackground,
+    pinTableHeader: options.pinTableHeader,
+    theme: loadTheme(options.theme)
+  });
+
+  for (const plugin of options.plugin || []) {
+    const modulePath = path.resolve(plugin);
+    if (!fs.existsSync(modulePath)) {
+      throw new Error(`Plugin not found: ${modulePath}`);
+    }
+
+    const pluginModule = require(modulePath);
+    const register = typeof pluginModule === 'function' ? pluginModule : pluginModule.register;
+    if (typeof register !== 'function') {
+      throw new Error(`Plugin must export a function or a register() function: ${modulePath}`);
+    }
+    register(converter);
+  }
+
+  return converter;
+}
+
+// Revision each document was last read at, or brought to by this process's own updates
+const pinnedRevisions = new Map();
+
+// Batch updates that went through, so a retried step can tell whether it already changed something
+let appliedUpdates = 0;
+
+// Times a read-compute-write step is tried before giving up (see withRevisionRetry)
+const MAX_REVISION_ATTEMPTS = 3;
+
+/**
+ * Read a document and pin its revision
+ * Updates computed from this read are sent with it as
+ * writeControl.requiredRevisionId, so Docs rejects them if anyone changed
+ * the document in between, instead of applying them at indices that no
+ * longer point where they did.
+ * @returns {Object} The documents.get response
+ */
+async function getDocument(docs, documentId) {
+  const response = await docs.documents.get({ documentId });
+  pinnedRevisions.set(documentId, response.data.revisionId);
+  return response;
+}
+
 /**
  * Create a new Google Doc
  */
@@ -202,226 +432,438 @@ async function createDocument(docs, title) {
       title: title,
     },
   });
+  pinnedRevisions.set(response.data.documentId, response.data.revisionId);
   return response.data;
 }
 
 /**
- * Clear all content from a document
+ * Whether a batchUpdate failed because the required revision is no longer current
+ */
+function isRevisionConflict(error) {
+  const status = error.response?.status;
+  const reason = error.response?.data?.error?.status;
+  return (status === 400 || status === 409) &&
+    (reason === 'FAILED_PRECONDITION' || reason === 'ABORTED' || /revision/i.test(error.message));
+}
+
+/**
+ * Apply batch requests to a document
+ * The requests must be computed from the document as last read with
+ * getDocument (or as left by the previous update). Requests that don't
+ * depend on body positions, like footnote text in new footnotes, can skip
+ * the check with options.anyRevision.
+ * @throws {Error} With code 'REVISION_CONFLICT' when the document changed since
  */
-async function clearDocument(docs, documentId) {
-  const doc = await docs.documents.get({ documentId });
-  const endIndex = doc.data.body.content[doc.data.body.content.length - 1].endIndex;
+async function updateDocument(docs, documentId, requests, options = {}) {
+  if (requests.length === 0) {
+    return;
+  }
 
-  if (endIndex > 2) {
-    await docs.documents.batchUpdate({
+  const requiredRevisionId = options.anyRevision ? null : pinnedRevisions.get(documentId);
+  let response;
+
+  try {
+    response = await docs.documents.batchUpdate({
       documentId,
       requestBody: {
-        requests: [{
-          deleteContentRange: {
-            range: {
-              startIndex: 1,
-              endIndex: endIndex - 1,
-            },
-          },
-        }],
+        requests: requests,
+        ...(requiredRevisionId && { writeControl: { requiredRevisionId: requiredRevisionId } })
       },
     });
+  } catch (error) {
+    if (requiredRevisionId && isRevisionConflict(error)) {
+      const conflict = new Error(`Document ${documentId} was changed by someone else since it was read`);
+      conflict.code = 'REVISION_CONFLICT';
+      throw conflict;
+    }
+    throw error;
+  }
+
+  appliedUpdates++;
+
+  // Our own update moves the revision on; an unchecked one leaves the pin,
+  // so a later checked update has to read the document again first
+  if (requiredRevisionId) {
+    pinnedRevisions.set(documentId, response.data.writeControl?.requiredRevisionId);
   }
+
+  return response.data;
 }
 
 /**
- * Apply batch requests to a document
+ * Run a read-compute-write step, starting it over when the document changes under it
+ * The step reads what it edits with getDocument, so a new attempt
+ * recomputes sections and indices from the current document. It is only
+ * started over while none of its updates went through: once one has, the
+ * rest were computed for a document that is gone, and it stops instead.
+ * @param {Function} step - async () => result
+ * @returns {*} The step's result
  */
-async function updateDocument(docs, documentId, requests) {
-  if (requests.length === 0) {
-    return;
+async function withRevisionRetry(step) {
+  for (let attempt = 1; ; attempt++) {
+    const updatesBefore = appliedUpdates;
+
+    try {
+      return await step();
+    } catch (error) {
+      if (error.code !== 'REVISION_CONFLICT') {
+        throw error;
+      }
+
+      const applied = appliedUpdates - updatesBefore;
+      if (applied > 0) {
+        throw new Error(`${error.message}, after ${applied} update(s) of this step went through. ` +
+          'Stopped so the rest is not applied in the wrong place; check the document before running the command again.');
+      }
+      if (attempt >= MAX_REVISION_ATTEMPTS) {
+        throw new Error(`${error.message}, on each of ${attempt} attempts; this step was not applied. ` +
+          'Run the command again once the other edits are done.');
+      }
+
+      console.warn(`Warning: ${error.message}; reading it again (attempt ${attempt + 1} of ${MAX_REVISION_ATTEMPTS})`);
+    }
   }
+}
 
-  const response = await docs.documents.batchUpdate({
-    documentId,
-    requestBody: {
-      requests: requests,
-    },
-  });
+/**
+ * Shift converter output to a new insertion point
+ * The converter emits indices starting at 1; every location/range index in
+ * the requests is moved by the given offset. Requests that target another
+ * segment (segmentId set, e.g. footnotes) keep their own indices.
+ * Returns shifted copies: the conversion is reused when a step is retried.
+ */
+function shiftRequestIndices(requests, offset) {
+  const shift = (value, inSegment) => {
+    if (Array.isArray(value)) {
+      return value.map(item => shift(item, inSegment));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
 
-  return response.data;
+    const segment = inSegment || Boolean(value.segmentId);
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      if (!segment && (key === 'index' || key === 'startIndex' || key === 'endIndex') && typeof value[key] === 'number') {
+        copy[key] = value[key] + offset;
+      } else {
+        copy[key] = shift(value[key], segment);
+      }
+    }
+    return copy;
+  };
+
+  return requests.map(request => shift(request, false));
 }
 
 /**
- * Replace placeholder text with table structures
- * Process one table at a time to avoid cross-table index drift
+ * Write footnote bodies into the footnote segments created by the content requests
+ * createFootnote only returns the new segment ID in its reply, so this runs
+ * as a second batchUpdate.
+ * @param {Array} footnotes - Footnote metadata from MarkdownToDocsConverter.convert()
+ * @param {Array} contentRequests - Requests that were sent (to locate each reply)
+ * @param {Object} result - batchUpdate response for contentRequests
  */
-async function insertTables(docs, documentId, tableRequests) {
-  if (tableRequests.length === 0) {
+async function populateFootnotes(docs, documentId, footnotes, contentRequests, result) {
+  if (footnotes.length === 0) {
     return;
   }
 
-  // Process each table separately to get fresh indices
-  for (const tableReq of tableRequests) {
-    const doc = await docs.documents.get({ documentId });
-    const content = doc.data.body.content;
-
-    let placeholderStart = null;
-    let placeholderEnd = null;
-
-    for (const element of content) {
-      if (element.paragraph) {
-        for (const textElement of element.paragraph.elements) {
-          if (textElement.textRun && textElement.textRun.content.includes(`[TABLE:${tableReq.rows}x${tableReq.cols}]`)) {
-            placeholderStart = textElement.startIndex;
-            placeholderEnd = textElement.endIndex;
-            break;
-          }
-        }
-      }
-      if (placeholderStart !== null) break;
+  const requests = [];
+
+  for (const footnote of footnotes) {
+    const replyIndex = contentRequests.indexOf(footnote.request);
+    const reply = result?.replies?.[replyIndex]?.createFootnote;
+
+    if (!reply) {
+      console.warn(`Warning: Footnote [^${footnote.id}] was not created`);
+      continue;
     }
 
-    if (placeholderStart === null) {
-      console.warn(`Could not find placeholder for table ${tableReq.rows}x${tableReq.cols}`);
+    if (!footnote.text) {
       continue;
     }
 
-    const requests = [
-      {
-        deleteContentRange: {
+    // A new footnote segment holds " \n"; write after the leading space
+    const insertIndex = 1;
+    requests.push({
+      insertText: {
+        location: { segmentId: reply.footnoteId, index: insertIndex },
+        text: footnote.text
+      }
+    });
+
+    for (const style of footnote.styles) {
+      requests.push({
+        updateTextStyle: {
+          ...style,
           range: {
-            startIndex: placeholderStart,
-            endIndex: placeholderEnd - 1
+            segmentId: reply.footnoteId,
+            startIndex: insertIndex + style.range.startIndex,
+            endIndex: insertIndex + style.range.endIndex
           }
         }
-      },
-      {
-        insertTable: {
-          location: { index: placeholderStart },
-          rows: tableReq.rows,
-          columns: tableReq.cols
-        }
-      }
-    ];
+      });
+    }
+  }
+
+  // New footnotes are where the replies say, whatever else changed since
+  await updateDocument(docs, documentId, requests, { anyRevision: true });
+}
+
+/**
+ * Point `#slug` links at the heading IDs Docs assigned
+ * Runs after all content (tables included) is in place, reading the
+ * document back so link positions are always current.
+ */
+async function resolveHeadingLinks(docs, documentId) {
+  const unresolved = await withRevisionRetry(async () => {
+    const doc = await getDocument(docs, documentId);
+    const links = createHeadingLinkRequests(doc.data);
 
-    await updateDocument(docs, documentId, requests);
+    await updateDocument(docs, documentId, links.requests);
+    return links.unresolved;
+  });
+
+  for (const slug of new Set(unresolved)) {
+    console.warn(`Warning: No heading found for link #${slug}`);
   }
 }
 
 /**
- * Find tables in document and populate them with content
- * Optimized: Fetch fresh doc per table + single batchUpdate per table
- * This avoids cross-table index drift (O(tables) API calls vs O(cells))
+ * Send copy requests (see document-copy.js), then fill in footnotes and heading links
+ * The copied headings only have IDs once the copy is in, so links to them
+ * are restored from the document as read back.
+ * @param {Object} target - The document as fetched before the copy
+ * @param {Object} copy - Result of createCopyRequests
+ * @param {Object} relinkOptions - Options for createHeadingRelinkRequests
  */
-async function populateTables(docs, documentId, tableMetadata) {
-  if (tableMetadata.length === 0) {
+async function applyCopy(docs, documentId, target, copy, relinkOptions = {}) {
+  const result = await updateDocument(docs, documentId, copy.requests);
+  await populateFootnotes(docs, documentId, copy.footnotes, copy.requests, result);
+
+  if (copy.headingLinks.length === 0) {
     return;
   }
 
-  // Process each table with a single batch request
-  for (let tableIdx = 0; tableIdx < tableMetadata.length; tableIdx++) {
-    // Fetch fresh document to get current structure (accounts for previous table insertions)
-    const doc = await docs.documents.get({ documentId });
-    const content = doc.data.body.content;
-    const tables = content.filter(element => element.table);
+  const unresolved = await withRevisionRetry(async () => {
+    const updated = await getDocument(docs, documentId);
+    const relink = createHeadingRelinkRequests(updated.data, target, copy, relinkOptions);
 
-    if (tableIdx >= tables.length) {
-      console.warn(`Warning: Table ${tableIdx} not found in document (only ${tables.length} tables exist)`);
-      break;
-    }
+    await updateDocument(docs, documentId, relink.requests);
+    return relink.unresolved;
+  });
 
-    const metadata = tableMetadata[tableIdx];
-    const table = tables[tableIdx].table;
+  for (const headingId of new Set(unresolved)) {
+    console.warn(`Warning: Link to heading ${headingId} dropped (heading not found)`);
+  }
+}
 
-    // First, collect all cell info with their base indices
-    const cellOperations = [];
+/**
+ * Convert markdown for insertion, resolving image sources up front
+ * so nothing is changed in the document when an upload fails.
+ * @param {string} markdown - Markdown content
+ * @param {Object} options - CLI options (converter, theme and image options)
+ * @param {string} baseDir - Directory local image paths are relative to
+ */
+async function convertMarkdown(markdown, options, baseDir) {
+  const converter = createConverter(options);
+  const conversion = converter.convert(markdown);
+  await resolveImageSources(conversion.images, {
+    baseDir: baseDir,
+    uploader: createImageUploader(options)
+  });
+  return conversion;
+}
 
-    for (const cellInfo of metadata.cellData) {
-      const { row, col, text, bold } = cellInfo;
+/**
+ * Requests inserting converted markdown (content and tables) at an index
+ * For batches that make other changes too; the returned footnotes point at
+ * the shifted requests and still need populateFootnotes with the batch's reply.
+ * @returns {Object} { requests, footnotes }
+ */
+function createConvertedContentRequests(conversion, insertIndex) {
+  const converted = [...conversion.contentRequests, ...conversion.tableRequests];
 
-      // Validate cell coordinates
-      if (row >= table.tableRows.length || col >= table.tableRows[row].tableCells.length) {
-        console.warn(`Cell [${row}][${col}] out of bounds in table ${tableIdx}`);
-        continue;
-      }
+  // Converter starts at index 1
+  const requests = shiftRequestIndices(converted, insertIndex - 1);
+  const footnotes = conversion.footnotes.map(footnote => ({
+    ...footnote,
+    request: requests[converted.indexOf(footnote.request)]
+  }));
 
-      const cell = table.tableRows[row].tableCells[col];
+  return { requests, footnotes };
+}
 
-      if (!cell.content || cell.content.length === 0) {
-        console.warn(`Cell [${row}][${col}] has no content in table ${tableIdx}`);
-        continue;
-      }
+/**
+ * Insert converted markdown at an index: content and tables in one batch, then footnotes
+ * Heading links are left to the caller (resolveHeadingLinks), which only
+ * needs to run once after all insertions.
+ */
+async function insertConvertedContent(docs, documentId, conversion, insertIndex) {
+  const { requests, footnotes } = createConvertedContentRequests(conversion, insertIndex);
 
-      const paragraph = cell.content[0].paragraph;
-      if (!paragraph || !paragraph.elements || paragraph.elements.length === 0) {
-        console.warn(`Cell [${row}][${col}] has no paragraph in table ${tableIdx}`);
-        continue;
-      }
+  const result = await updateDocument(docs, documentId, requests);
+  await populateFootnotes(docs, documentId, footnotes, requests, result);
+}
 
-      // Safety check: skip cells that already have content
-      const existingText = paragraph.elements
-        .map(el => el.textRun?.content || '')
-        .join('')
-        .trim();
+/**
+ * Turn a range of the document into converted markdown with the fewest changes
+ * Paragraphs that are already right are left alone (see document-diff.js), so
+ * their comments and heading IDs survive. Content the diff can't replay
+ * (requests from a plugin) falls back to rewriting the range.
+ * Heading links are left to the caller, as with insertConvertedContent.
+ * @param {Object} doc - The document as fetched before the update
+ * @param {Object} range - { startIndex, endIndex } of the content to replace
+ * @returns {Object|null} Paragraph counts { kept, restyled, deleted, inserted }, null after a rewrite
+ */
+async function updateConvertedContent(docs, documentId, doc, range, conversion) {
+  let diff;
+  try {
+    diff = diffDocumentContent(doc, range, conversion);
+  } catch (error) {
+    console.warn(`Warning: ${error.message}; rewriting the content instead`);
+
+    // One batch, so nothing is half done if the document changed since it was read
+    const content = doc.body.content;
+    const endIndex = Math.min(range.endIndex, content[content.length - 1].endIndex - 1);
+    const converted = createConvertedContentRequests(conversion, range.startIndex);
+    const requests = [
+      ...(endIndex > range.startIndex ? [{
+        deleteContentRange: {
+          range: { startIndex: range.startIndex, endIndex: endIndex }
+        }
+      }] : []),
+      ...converted.requests
+    ];
 
-      if (existingText.length > 0) {
-        console.warn(`Cell [${row}][${col}] already contains text: "${existingText}" - skipping`);
-        continue;
-      }
+    const result = await updateDocument(docs, documentId, requests);
+    await populateFootnotes(docs, documentId, converted.footnotes, requests, result);
+    return null;
+  }
 
-      const textInsertIndex = paragraph.elements[0].startIndex;
+  const result = await updateDocument(docs, documentId, diff.requests);
+  await populateFootnotes(docs, documentId, diff.footnotes, diff.requests, result);
 
-      if (text && text.trim().length > 0) {
-        // Store operation info for later processing
-        cellOperations.push({
-          row,
-          col,
-          baseIndex: textInsertIndex,
-          text,
-          bold
-        });
-      }
-    }
+  return diff.summary;
+}
 
-    // Sort by baseIndex to ensure ascending order (don't rely on row-major assumption)
-    cellOperations.sort((a, b) => a.baseIndex - b.baseIndex);
+/**
+ * Parse a 1-based ordinal (--nth)
+ */
+function parseOrdinal(value) {
+  if (!/^[1-9]\d*$/.test(value)) {
+    throw new InvalidArgumentError('Expected a number (1 or more)');
+  }
+  return parseInt(value, 10);
+}
 
-    // Now build batch requests with cumulative offset adjustment
-    const requests = [];
-    let cumulativeOffset = 0;
+/**
+ * Parse a heading level (--level): 1 to 6
+ */
+function parseHeadingLevel(value) {
+  if (!/^[1-6]$/.test(value)) {
+    throw new InvalidArgumentError('Expected a heading level from 1 to 6');
+  }
+  return parseInt(value, 10);
+}
 
-    for (const op of cellOperations) {
-      const adjustedIndex = op.baseIndex + cumulativeOffset;
+/**
+ * Parse a heading level offset (--level-offset): -5 to 5
+ */
+function parseLevelOffset(value) {
+  if (!/^[+-]?[0-5]$/.test(value)) {
+    throw new InvalidArgumentError('Expected a whole number from -5 to 5');
+  }
+  return parseInt(value, 10);
+}
 
-      // Insert text
-      requests.push({
-        insertText: {
-          location: { index: adjustedIndex },
-          text: op.text
-        }
-      });
+/**
+ * Find the section a command targets
+ * @param {string} title - Value of the command's section option (--title, --section, ...)
+ * @param {Object} options - Command options: --exact, --heading-id and --nth narrow the match
+ * @throws {Error} When the selector matches no section or several (see selectSection)
+ */
+function findSection(doc, title, options) {
+  return selectSection(parseDocumentSections(doc), {
+    title: title,
+    exact: options.exact,
+    headingId: options.headingId,
+    nth: options.nth
+  });
+}
 
-      // Apply bold style if needed (executes sequentially after insert)
-      if (op.bold) {
-        requests.push({
-          updateTextStyle: {
-            range: {
-              startIndex: adjustedIndex,
-              endIndex: adjustedIndex + op.text.length
-            },
-            textStyle: {
-              bold: true
-            },
-            fields: 'bold'
-          }
-        });
-      }
+/**
+ * Tables a table command chooses from: the whole document, or one section's (--section and selector options)
+ * @returns {Object} { tables, scope } where scope names where they were looked for
+ */
+function findScopedTables(doc, options) {
+  const tables = findTables(doc);
+  if (!options.section && !options.headingId) {
+    return { tables: tables, scope: 'the document' };
+  }
+
+  const section = findSection(doc, options.section, options);
 
-      // Update cumulative offset for next cell
-      cumulativeOffset += op.text.length;
+  return {
+    tables: tables.filter(table =>
+      table.startIndex >= section.sectionStartIndex && table.startIndex < section.sectionEndIndex),
+    scope: `section "${section.title}"`
+  };
+}
+
+/**
+ * Pick the table a command works on: --index among the tables in scope,
+ * or the only one there is
+ */
+function selectTable(doc, options) {
+  const { tables, scope } = findScopedTables(doc, options);
+
+  if (options.index !== undefined) {
+    if (!tables[options.index]) {
+      throw new Error(`No table ${options.index} in ${scope} (${tables.length} table(s), numbered from 0)`);
     }
+    return tables[options.index];
+  }
+
+  if (tables.length === 0) {
+    throw new Error(`No tables in ${scope}`);
+  }
+  if (tables.length > 1) {
+    throw new Error(`${tables.length} tables in ${scope}; choose one with --index (see "gdoc table list")`);
+  }
+  return tables[0];
+}
+
+/**
+ * Apply an edit to the selected table in one batch
+ * @param {Function} buildEdit - table => { operations, cells, message } (see createTableEditRequests)
+ */
+async function runTableEdit(options, buildEdit) {
+  const docs = await createDocsClient();
+
+  await withRevisionRetry(async () => {
+    const doc = await getDocument(docs, options.documentId);
+    const table = selectTable(doc.data, options);
+
+    const { operations = [], cells = [], message } = buildEdit(table);
+    const requests = createTableEditRequests(table, operations, cells);
 
-    // Execute all cell operations for this table in a single batchUpdate
     if (requests.length > 0) {
-      await updateDocument(docs, documentId, requests);
+      await updateDocument(docs, options.documentId, requests);
     }
+    console.log(`✓ ${message} (table ${table.index})`);
+  });
+}
+
+/**
+ * Cells of one row or column from a list of values
+ */
+function lineCells(values, length, toCell) {
+  if (values.length > length) {
+    throw new Error(`${values.length} values given, but there are only ${length} cells`);
   }
+  return values.map((text, i) => ({ ...toCell(i), text: text }));
 }
 
 // Create CLI
@@ -505,8 +947,15 @@ program
   .command('markdown')
   .description('Convert markdown file to Google Doc')
   .requiredOption('-f, --file <path>', 'Markdown file path')
-  .option('-d, --docId <id>', 'Document ID to update (creates new if omitted)')
-  .option('-t, --title <title>', 'Document title (for new documents)')
+  .option('-d, --docId <id>', 'Document ID to update (default: front matter documentId, else creates new)')
+  .option('-t, --title <title>', 'Document title for new documents (default: front matter title, else file name)')
+  .option('--image-uploader <module>', 'Module that uploads local images and returns their URL')
+  .option('--image-base-url <url>', 'Base URL where local images are published')
+  .option('--code-captions', 'Show the language above fenced code blocks')
+  .option('--table-header-background <hex>', 'Background color for table header rows', parseHexColor)
+  .option('--pin-table-header', 'Pin the header row of each table')
+  .option('--plugin <module>', 'Converter plugin module (repeatable)', collectOption, [])
+  .option('--theme <path>', 'Styling theme JSON (default: ~/.gdoc/theme.json)')
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
@@ -519,49 +968,49 @@ program
       const markdown = fs.readFileSync(options.file, 'utf-8');
 
       // Convert markdown to Docs API requests
-      const converter = new MarkdownToDocsConverter();
-      const { contentRequests, tableRequests, tables } = converter.convert(markdown);
+      const conversion = await convertMarkdown(markdown, options, path.dirname(options.file));
+      const { frontMatter, anchorLinks } = conversion;
+      const documentStyleRequests = buildDocumentStyleRequests(frontMatter);
 
-      let docId = options.docId;
-      let docUrl;
+      let docId = options.docId || frontMatter.documentId;
+      let changes;
 
       if (docId) {
-        // Update existing document
-        await clearDocument(docs, docId);
-        await updateDocument(docs, docId, contentRequests);
-
-        if (tableRequests.length > 0) {
-          await insertTables(docs, docId, tableRequests);
-        }
-
-        if (tables.length > 0) {
-          await populateTables(docs, docId, tables);
-        }
+        // Update existing document, touching only paragraphs that changed
+        changes = await withRevisionRetry(async () => {
+          const doc = await getDocument(docs, docId);
+          const content = doc.data.body.content;
+
+          return updateConvertedContent(docs, docId, doc.data, {
+            startIndex: 1,
+            endIndex: content[content.length - 1].endIndex
+          }, conversion);
+        });
 
-        docUrl = `https://docs.google.com/document/d/${docId}/edit`;
+        // Page setup doesn't depend on the content's positions
+        await updateDocument(docs, docId, documentStyleRequests, { anyRevision: true });
       } else {
         // Create new document
-        const title = options.title || path.basename(options.file, path.extname(options.file));
+        const title = options.title || frontMatter.title || path.basename(options.file, path.extname(options.file));
         const doc = await createDocument(docs, title);
         docId = doc.documentId;
-        docUrl = `https://docs.google.com/document/d/${docId}/edit`;
-
-        await updateDocument(docs, docId, contentRequests);
 
-        if (tableRequests.length > 0) {
-          await insertTables(docs, docId, tableRequests);
-        }
+        await updateDocument(docs, docId, documentStyleRequests);
+        await insertConvertedContent(docs, docId, conversion, 1);
+      }
 
-        if (tables.length > 0) {
-          await populateTables(docs, docId, tables);
-        }
+      if (anchorLinks.length > 0) {
+        await resolveHeadingLinks(docs, docId);
       }
 
+      const docUrl = `https://docs.google.com/document/d/${docId}/edit`;
+
       output({
         success: true,
         documentId: docId,
         url: docUrl,
-        message: 'Markdown converted to Google Doc'
+        message: 'Markdown converted to Google Doc',
+        ...(changes ? { changes: changes } : {})
       });
     } catch (error) {
       console.error('Error:', error.message);
@@ -578,7 +1027,7 @@ program
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
-      const doc = await docs.documents.get({ documentId: options.documentId });
+      const doc = await getDocument(docs, options.documentId);
 
       const sections = parseDocumentSections(doc.data);
       const outline = buildOutline(sections);
@@ -602,23 +1051,17 @@ program
   .command('read-section')
   .description('Read content from a specific section')
   .requiredOption('--documentId <id>', 'Document ID')
-  .requiredOption('--title <title>', 'Section title (partial match, case-insensitive)')
+  .option('--title <title>', 'Section title or path ("API > Auth"), partial match, case-insensitive')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
   .option('--json', 'Output raw section data as JSON')
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
-      const doc = await docs.documents.get({ documentId: options.documentId });
-
-      const sections = parseDocumentSections(doc.data);
-      const section = findSectionByTitle(sections, options.title);
+      const doc = await getDocument(docs, options.documentId);
 
-      if (!section) {
-        console.error(`Section not found: ${options.title}`);
-        console.error('');
-        console.error('Available sections:');
-        sections.forEach(s => console.error(`  - ${s.title}`));
-        process.exit(1);
-      }
+      const section = findSection(doc.data, options.title, options);
 
       if (options.json) {
         output({
@@ -640,88 +1083,316 @@ program
     }
   });
 
-// update-section - Replace section content from markdown
+// export - Convert a document (or one section) back to markdown
 program
-  .command('update-section')
-  .description('Update a section with new content from markdown')
+  .command('export')
+  .description('Export a document or one section to markdown, HTML, plain text or JSON')
   .requiredOption('--documentId <id>', 'Document ID')
-  .requiredOption('--title <title>', 'Section title to update')
-  .requiredOption('-f, --file <path>', 'Markdown file with new content')
+  .option('--section <title>', 'Export only this section: title or path, partial match, case-insensitive')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .option('--format <format>', 'Output format: markdown, html, txt or json', parseExportFormat, 'markdown')
+  .option('-o, --output <path>', 'Output file (default: stdout)')
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
+      const doc = await getDocument(docs, options.documentId);
 
-      // Read markdown file
-      if (!fs.existsSync(options.file)) {
-        throw new Error(`File not found: ${options.file}`);
-      }
-      const markdown = fs.readFileSync(options.file, 'utf-8');
+      let elements = doc.data.body.content;
 
-      // Get document and find section
-      const doc = await docs.documents.get({ documentId: options.documentId });
-      const sections = parseDocumentSections(doc.data);
-      const section = findSectionByTitle(sections, options.title);
+      if (options.section || options.headingId) {
+        const section = findSection(doc.data, options.section, options);
 
-      if (!section) {
-        console.error(`Section not found: ${options.title}`);
-        console.error('');
-        console.error('Available sections:');
-        sections.forEach(s => console.error(`  - ${s.title}`));
-        process.exit(1);
+        elements = extractSectionContent(doc.data, section, true);
       }
 
-      console.log(`Updating section: ${section.title} (H${section.level})`);
-      console.log(`Range: ${section.sectionStartIndex}-${section.sectionEndIndex}`);
+      const exported = EXPORT_FORMATS[options.format](doc.data, elements);
 
-      // Step 1: Delete old content (preserve heading)
-      const deleteRequest = createDeleteSectionContentRequest(section);
-      if (deleteRequest) {
-        await updateDocument(docs, options.documentId, [deleteRequest]);
-        console.log('✓ Old content deleted');
+      if (options.output) {
+        fs.writeFileSync(options.output, exported);
+        output({
+          success: true,
+          documentId: options.documentId,
+          file: options.output,
+          format: options.format,
+          message: `Document exported to ${options.format}`
+        });
       } else {
-        console.log('✓ Section was empty');
+        process.stdout.write(exported);
       }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
 
-      // Step 2: Convert markdown to API requests
-      const converter = new MarkdownToDocsConverter();
-      const { contentRequests, tableRequests, tables } = converter.convert(markdown);
-
-      // Adjust insertion index (insert right after heading)
-      const insertIndex = section.headingEndIndex;
-      const indexOffset = insertIndex - 1; // Converter starts at index 1
-
-      contentRequests.forEach(req => {
-        if (req.insertText) {
-          // Adjust insertText index to maintain relative positions
-          req.insertText.location.index += indexOffset;
-        } else if (req.updateTextStyle) {
-          // Adjust style application indices
-          req.updateTextStyle.range.startIndex += indexOffset;
-          req.updateTextStyle.range.endIndex += indexOffset;
-        } else if (req.updateParagraphStyle) {
-          // Adjust paragraph style indices
-          req.updateParagraphStyle.range.startIndex += indexOffset;
-          req.updateParagraphStyle.range.endIndex += indexOffset;
-        } else if (req.createParagraphBullets) {
-          // Adjust bullet list indices
-          req.createParagraphBullets.range.startIndex += indexOffset;
-          req.createParagraphBullets.range.endIndex += indexOffset;
-        }
+// sync - Two-way sync between a markdown file and a document
+program
+  .command('sync <file>')
+  .description('Two-way sync a markdown file with a document, merging section-level edits')
+  .option('--documentId <id>', 'Document ID (default: front matter documentId, else the last synced document)')
+  .option('--prefer <side>', 'Resolve conflicts in favor of "local" or "remote" instead of writing conflict markers', parseSyncSide)
+  .option('--dry-run', 'Show what would be pushed and pulled without changing anything')
+  .option('--image-uploader <module>', 'Module that uploads local images and returns their URL')
+  .option('--image-base-url <url>', 'Base URL where local images are published')
+  .option('--code-captions', 'Show the language above fenced code blocks')
+  .option('--table-header-background <hex>', 'Background color for table header rows', parseHexColor)
+  .option('--pin-table-header', 'Pin the header row of each table')
+  .option('--plugin <module>', 'Converter plugin module (repeatable)', collectOption, [])
+  .option('--theme <path>', 'Styling theme JSON (default: ~/.gdoc/theme.json)')
+  .action(async (file, options) => {
+    try {
+      const docs = await createDocsClient();
+
+      const fileExists = fs.existsSync(file);
+      const markdown = fileExists ? fs.readFileSync(file, 'utf-8') : '';
+
+      if (hasConflictMarkers(markdown)) {
+        throw new Error(`Resolve the conflict markers in ${file} before syncing`);
+      }
+
+      const { data: frontMatter, content } = parseFrontMatter(markdown);
+      const frontMatterSource = markdown.slice(0, markdown.length - content.length);
+
+      let state = loadSyncState(file);
+      const documentId = options.documentId || frontMatter.documentId || state?.documentId;
+      if (!documentId) {
+        throw new Error('No document to sync with: pass --documentId or set documentId in front matter');
+      }
+
+      if (state && state.documentId !== documentId) {
+        console.warn(`Warning: ${file} was last synced with ${state.documentId}; starting a fresh sync`);
+        state = null;
+      }
+
+      // The file's side is read once; conversions are kept by markdown, so a
+      // retry doesn't upload the images again
+      const local = splitMarkdownSections(content);
+      const conversions = new Map();
+
+      // Read, merge and push; a document changed in the meantime is read and merged again
+      const { doc, merged, pushed, pulled, conflicts, edits } = await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, documentId);
+        const remoteSections = splitDocumentSections(doc.data);
+
+        if (!state && !options.prefer && local.sections.length > 0 && remoteSections.length > 0) {
+          throw new Error('Both the file and the document have content and there is no sync base yet; ' +
+            'run the first sync with --prefer local or --prefer remote');
+        }
+
+        // An unchanged revision means the document's side of every section is the base
+        const baseRemote = state ? splitMarkdownSections(state.remote).sections : [];
+        const remoteUnchanged = state && state.revisionId === doc.data.revisionId;
+
+        const merged = mergeSections({
+          baseLocal: state ? splitMarkdownSections(state.local).sections : [],
+          baseRemote: baseRemote,
+          local: local.sections,
+          remote: remoteUnchanged ? baseRemote : remoteSections
+        }, options.prefer);
+
+        const pushed = merged.filter(entry => entry.source === 'local').map(entry => entry.key);
+        const pulled = merged.filter(entry => entry.source === 'remote').map(entry => entry.key);
+        const conflicts = merged.filter(entry => entry.source === 'conflict').map(entry => entry.key);
+
+        if (options.dryRun) {
+          return { doc, merged, pushed, pulled, conflicts, edits: [] };
+        }
+
+        // Document side: replace, insert or delete locally changed sections,
+        // bottom-up so earlier indices stay valid
+        const targets = new Map(remoteSections.map(section => [section.key, section]));
+        const bodyEndIndex = doc.data.body.content[doc.data.body.content.length - 1].endIndex;
+        const edits = [];
+
+        merged.forEach((entry, i) => {
+          if (entry.source !== 'local') return;
+          const target = targets.get(entry.key);
+
+          if (entry.text === null) {
+            if (target) {
+              edits.push({ startIndex: target.startIndex, endIndex: target.endIndex, markdown: '' });
+            }
+          } else if (target) {
+            // Keep the heading paragraph (and its headingId) when only the body changed
+            const headingUnchanged = entry.base && entry.base.heading === entry.local.heading;
+            edits.push({
+              startIndex: headingUnchanged ? target.headingEndIndex : target.startIndex,
+              endIndex: target.endIndex,
+              markdown: headingUnchanged ? entry.local.body : entry.local.text
+            });
+          } else {
+            // New section: after the closest preceding section the document has
+            let insertIndex = 1;
+            for (let j = i - 1; j >= 0; j--) {
+              const previous = targets.get(merged[j].key);
+              if (previous) {
+                insertIndex = previous.endIndex;
+                break;
+              }
+            }
+
+            const last = edits[edits.length - 1];
+            if (last && last.startIndex === insertIndex && last.endIndex === insertIndex) {
+              last.markdown += '\n\n' + entry.local.text;
+            } else {
+              edits.push({ startIndex: insertIndex, endIndex: insertIndex, markdown: entry.local.text });
+            }
+          }
+        });
+
+        // Footnote definitions may sit in another section than their references
+        for (const edit of edits) {
+          if (!edit.markdown) {
+            edit.conversion = null;
+            continue;
+          }
+
+          const markdown = edit.markdown + '\n\n' + local.footnotes;
+          if (!conversions.has(markdown)) {
+            conversions.set(markdown, await convertMarkdown(markdown, options, path.dirname(file)));
+          }
+          edit.conversion = conversions.get(markdown);
+        }
+
+        // All edits in one batch, so none is applied if the document changed since it was read
+        edits.sort((a, b) => b.startIndex - a.startIndex);
+        const requests = [];
+        const footnotes = [];
+
+        for (const edit of edits) {
+          // The body's final newline can't be deleted
+          const deleteEnd = Math.min(edit.endIndex, bodyEndIndex - 1);
+          if (deleteEnd > edit.startIndex) {
+            requests.push({
+              deleteContentRange: { range: { startIndex: edit.startIndex, endIndex: deleteEnd } }
+            });
+          }
+
+          if (!edit.conversion) continue;
+
+          let insertIndex = edit.startIndex;
+          if (insertIndex >= bodyEndIndex) {
+            // Appending: open a new paragraph after the last one
+            requests.push({
+              insertText: { location: { index: bodyEndIndex - 1 }, text: '\n' }
+            });
+            insertIndex = bodyEndIndex;
+          }
+
+          const converted = createConvertedContentRequests(edit.conversion, insertIndex);
+          requests.push(...converted.requests);
+          footnotes.push(...converted.footnotes);
+        }
+
+        const result = await updateDocument(docs, documentId, requests);
+        await populateFootnotes(docs, documentId, footnotes, requests, result);
+
+        return { doc, merged, pushed, pulled, conflicts, edits };
+      });
+
+      if (options.dryRun) {
+        output({ documentId, pushed, pulled, conflicts });
+        return;
+      }
+
+      if (edits.some(edit => edit.conversion?.anchorLinks.length > 0)) {
+        await resolveHeadingLinks(docs, documentId);
+      }
+
+      // File side: write pulled sections and conflict markers
+      const mergedBody = joinSections(merged.map(entry => entry.text));
+      if (pulled.length > 0 || conflicts.length > 0 || !fileExists) {
+        fs.writeFileSync(file, frontMatterSource + mergedBody);
+      }
+
+      // Conflicting sections keep their base, so the resolved text reads as a local edit next time
+      const updated = edits.length > 0 ? await getDocument(docs, documentId) : doc;
+      saveSyncState(file, {
+        documentId: documentId,
+        revisionId: updated.data.revisionId,
+        syncedAt: new Date().toISOString(),
+        local: joinSections(merged.map(entry => entry.source === 'conflict' ? entry.base?.text : entry.text)),
+        remote: joinSections(splitDocumentSections(updated.data).map(section => section.text))
+      });
+
+      output({
+        success: conflicts.length === 0,
+        documentId: documentId,
+        file: file,
+        pushed: pushed,
+        pulled: pulled,
+        conflicts: conflicts,
+        message: conflicts.length > 0
+          ? `${conflicts.length} conflicting section(s) marked in ${file}; resolve them and sync again`
+          : 'File and document are in sync'
       });
 
-      // Step 3: Insert new content
-      await updateDocument(docs, options.documentId, contentRequests);
-      console.log('✓ New content inserted');
+      if (conflicts.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// update-section - Replace section content from markdown
+program
+  .command('update-section')
+  .description('Update a section with new content from markdown')
+  .requiredOption('--documentId <id>', 'Document ID')
+  .option('--title <title>', 'Section title or path to update')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .requiredOption('-f, --file <path>', 'Markdown file with new content')
+  .option('--image-uploader <module>', 'Module that uploads local images and returns their URL')
+  .option('--image-base-url <url>', 'Base URL where local images are published')
+  .option('--code-captions', 'Show the language above fenced code blocks')
+  .option('--table-header-background <hex>', 'Background color for table header rows', parseHexColor)
+  .option('--pin-table-header', 'Pin the header row of each table')
+  .option('--plugin <module>', 'Converter plugin module (repeatable)', collectOption, [])
+  .option('--theme <path>', 'Styling theme JSON (default: ~/.gdoc/theme.json)')
+  .action(async (options) => {
+    try {
+      const docs = await createDocsClient();
+
+      // Read markdown file
+      if (!fs.existsSync(options.file)) {
+        throw new Error(`File not found: ${options.file}`);
+      }
+      const markdown = fs.readFileSync(options.file, 'utf-8');
+
+      // Step 1: Convert markdown to API requests (before touching the document)
+      const conversion = await convertMarkdown(markdown, options, path.dirname(options.file));
+
+      // Step 2: Find the section and change only the paragraphs that differ (the heading is kept)
+      const { section, changes } = await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const section = findSection(doc.data, options.title, options);
+
+        console.log(`Updating section: ${section.title} (H${section.level})`);
+        console.log(`Range: ${section.sectionStartIndex}-${section.sectionEndIndex}`);
+
+        const changes = await updateConvertedContent(docs, options.documentId, doc.data, {
+          startIndex: section.contentStartIndex,
+          endIndex: section.contentEndIndex
+        }, conversion);
+
+        return { section, changes };
+      });
 
-      // Step 4: Handle tables if any
-      if (tableRequests.length > 0) {
-        await insertTables(docs, options.documentId, tableRequests);
-        console.log('✓ Table structures inserted');
+      if (changes) {
+        console.log(`✓ ${changes.kept} paragraphs unchanged, ${changes.restyled} restyled, ${changes.deleted} deleted, ${changes.inserted} inserted`);
+      } else {
+        console.log('✓ Section content rewritten');
       }
 
-      if (tables.length > 0) {
-        await populateTables(docs, options.documentId, tables);
-        console.log('✓ Tables populated');
+      if (conversion.anchorLinks.length > 0) {
+        await resolveHeadingLinks(docs, options.documentId);
+        console.log('✓ Heading links resolved');
       }
 
       console.log('');
@@ -738,8 +1409,18 @@ program
   .command('append-to-section')
   .description('Append content to the end of a section')
   .requiredOption('--documentId <id>', 'Document ID')
-  .requiredOption('--title <title>', 'Section title to append to')
+  .option('--title <title>', 'Section title or path to append to')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
   .requiredOption('-f, --file <path>', 'Markdown file with content to append')
+  .option('--image-uploader <module>', 'Module that uploads local images and returns their URL')
+  .option('--image-base-url <url>', 'Base URL where local images are published')
+  .option('--code-captions', 'Show the language above fenced code blocks')
+  .option('--table-header-background <hex>', 'Background color for table header rows', parseHexColor)
+  .option('--pin-table-header', 'Pin the header row of each table')
+  .option('--plugin <module>', 'Converter plugin module (repeatable)', collectOption, [])
+  .option('--theme <path>', 'Styling theme JSON (default: ~/.gdoc/theme.json)')
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
@@ -749,48 +1430,24 @@ program
       }
       const markdown = fs.readFileSync(options.file, 'utf-8');
 
-      const doc = await docs.documents.get({ documentId: options.documentId });
-      const sections = parseDocumentSections(doc.data);
-      const section = findSectionByTitle(sections, options.title);
-
-      if (!section) {
-        console.error(`Section not found: ${options.title}`);
-        process.exit(1);
-      }
-
-      console.log(`Appending to section: ${section.title}`);
-
       // Convert markdown
-      const converter = new MarkdownToDocsConverter();
-      const { contentRequests, tableRequests, tables } = converter.convert(markdown);
+      const conversion = await convertMarkdown(markdown, options, path.dirname(options.file));
 
       // Insert at end of section (before next heading)
-      const insertIndex = section.contentEndIndex;
-      const indexOffset = insertIndex - 1;
-
-      contentRequests.forEach(req => {
-        if (req.insertText) {
-          // Adjust insertText index to maintain relative positions
-          req.insertText.location.index += indexOffset;
-        } else if (req.updateTextStyle) {
-          req.updateTextStyle.range.startIndex += indexOffset;
-          req.updateTextStyle.range.endIndex += indexOffset;
-        } else if (req.updateParagraphStyle) {
-          req.updateParagraphStyle.range.startIndex += indexOffset;
-          req.updateParagraphStyle.range.endIndex += indexOffset;
-        } else if (req.createParagraphBullets) {
-          req.createParagraphBullets.range.startIndex += indexOffset;
-          req.createParagraphBullets.range.endIndex += indexOffset;
-        }
-      });
+      const section = await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const section = findSection(doc.data, options.title, options);
+
+        console.log(`Appending to section: ${section.title}`);
 
-      await updateDocument(docs, options.documentId, contentRequests);
+        await insertConvertedContent(docs, options.documentId, conversion, section.contentEndIndex);
+        return section;
+      });
       console.log('✓ Content appended');
 
-      if (tableRequests.length > 0) {
-        await insertTables(docs, options.documentId, tableRequests);
-        await populateTables(docs, options.documentId, tables);
-        console.log('✓ Tables added');
+      if (conversion.anchorLinks.length > 0) {
+        await resolveHeadingLinks(docs, options.documentId);
+        console.log('✓ Heading links resolved');
       }
 
       console.log(`✓ Content appended to "${section.title}"`);
@@ -805,34 +1462,34 @@ program
   .command('delete-section')
   .description('Delete an entire section (heading + content)')
   .requiredOption('--documentId <id>', 'Document ID')
-  .requiredOption('--title <title>', 'Section title to delete')
+  .option('--title <title>', 'Section title or path to delete')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
   .option('--confirm', 'Skip confirmation prompt')
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
-      const doc = await docs.documents.get({ documentId: options.documentId });
-      const sections = parseDocumentSections(doc.data);
-      const section = findSectionByTitle(sections, options.title);
 
-      if (!section) {
-        console.error(`Section not found: ${options.title}`);
-        process.exit(1);
-      }
+      await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const section = findSection(doc.data, options.title, options);
 
-      console.log(`Section to delete: ${section.title} (H${section.level})`);
-      console.log(`Range: ${section.sectionStartIndex}-${section.sectionEndIndex}`);
+        console.log(`Section to delete: ${section.title} (H${section.level})`);
+        console.log(`Range: ${section.sectionStartIndex}-${section.sectionEndIndex}`);
 
-      if (!options.confirm) {
-        console.error('');
-        console.error('⚠️  This will permanently delete the section.');
-        console.error('Add --confirm flag to proceed.');
-        process.exit(1);
-      }
+        if (!options.confirm) {
+          console.error('');
+          console.error('⚠️  This will permanently delete the section.');
+          console.error('Add --confirm flag to proceed.');
+          process.exit(1);
+        }
 
-      const deleteRequest = createDeleteSectionRequest(section);
-      await updateDocument(docs, options.documentId, [deleteRequest]);
+        const deleteRequest = createDeleteSectionRequest(section);
+        await updateDocument(docs, options.documentId, [deleteRequest]);
 
-      console.log(`✓ Section "${section.title}" deleted`);
+        console.log(`✓ Section "${section.title}" deleted`);
+      });
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -849,6 +1506,16 @@ program
   .requiredOption('-f, --file <path>', 'Markdown file with section content')
   .option('--before <section>', 'Insert before this section')
   .option('--after <section>', 'Insert after this section')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .option('--image-uploader <module>', 'Module that uploads local images and returns their URL')
+  .option('--image-base-url <url>', 'Base URL where local images are published')
+  .option('--code-captions', 'Show the language above fenced code blocks')
+  .option('--table-header-background <hex>', 'Background color for table header rows', parseHexColor)
+  .option('--pin-table-header', 'Pin the header row of each table')
+  .option('--plugin <module>', 'Converter plugin module (repeatable)', collectOption, [])
+  .option('--theme <path>', 'Styling theme JSON (default: ~/.gdoc/theme.json)')
   .action(async (options) => {
     try {
       if (!options.before && !options.after) {
@@ -863,86 +1530,552 @@ program
       }
       const markdown = fs.readFileSync(options.file, 'utf-8');
 
-      const doc = await docs.documents.get({ documentId: options.documentId });
-      const sections = parseDocumentSections(doc.data);
+      // Convert first, so nothing is uploaded again if the document has to be read again
+      const conversion = await convertMarkdown(markdown, options, path.dirname(options.file));
+
+      await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const targetSection = findSection(doc.data, options.before || options.after, options);
 
-      const targetTitle = options.before || options.after;
-      const targetSection = findSectionByTitle(sections, targetTitle);
+        // Determine insertion point
+        const insertIndex = options.before
+          ? targetSection.sectionStartIndex
+          : targetSection.sectionEndIndex;
 
-      if (!targetSection) {
-        console.error(`Section not found: ${targetTitle}`);
+        console.log(`Inserting "${options.title}" (H${options.level}) ${options.before ? 'before' : 'after'} "${targetSection.title}"`);
+
+        // Heading, its style and the content in one batch
+        const headingText = options.title + '\n';
+        const converted = createConvertedContentRequests(conversion, insertIndex + headingText.length);
+        const requests = [
+          {
+            insertText: {
+              location: { index: insertIndex },
+              text: headingText
+            }
+          },
+          {
+            updateParagraphStyle: {
+              range: {
+                startIndex: insertIndex,
+                endIndex: insertIndex + headingText.length - 1
+              },
+              paragraphStyle: {
+                namedStyleType: `HEADING_${options.level}`
+              },
+              fields: 'namedStyleType'
+            }
+          },
+          ...converted.requests
+        ];
+
+        const result = await updateDocument(docs, options.documentId, requests);
+        await populateFootnotes(docs, options.documentId, converted.footnotes, requests, result);
+      });
+      console.log('✓ Heading and content inserted');
+
+      if (conversion.anchorLinks.length > 0) {
+        await resolveHeadingLinks(docs, options.documentId);
+        console.log('✓ Heading links resolved');
+      }
+
+      console.log(`✓ Section "${options.title}" inserted`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// move-section - Move a section with its subsections before/after another
+program
+  .command('move-section')
+  .description('Move a section (heading, content and subsections) before or after another section')
+  .requiredOption('--documentId <id>', 'Document ID')
+  .option('--title <title>', 'Section title or path to move')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .option('--before <section>', 'Move before this section (title or path)')
+  .option('--after <section>', 'Move after this section (title or path)')
+  .option('--force', 'Move even if some elements can\'t be copied (they are dropped)')
+  .action(async (options) => {
+    try {
+      if (!options.before === !options.after) {
+        console.error('Error: Must specify either --before or --after');
         process.exit(1);
       }
 
-      // Determine insertion point
-      const insertIndex = options.before
-        ? targetSection.sectionStartIndex
-        : targetSection.sectionEndIndex;
+      const docs = await createDocsClient();
 
-      console.log(`Inserting "${options.title}" (H${options.level}) ${options.before ? 'before' : 'after'} "${targetSection.title}"`);
+      await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const sections = parseDocumentSections(doc.data);
+        const section = findSection(doc.data, options.title, options);
+        const targetSection = selectSection(sections, { title: options.before || options.after, exact: options.exact });
 
-      // Create heading
-      const headingText = options.title + '\n';
-      const headingRequest = {
-        insertText: {
-          location: { index: insertIndex },
-          text: headingText
+        if (targetSection.sectionStartIndex >= section.sectionStartIndex &&
+            targetSection.sectionStartIndex < section.sectionEndIndex) {
+          throw new Error(`"${targetSection.title}" is part of the section being moved`);
         }
-      };
 
-      await updateDocument(docs, options.documentId, [headingRequest]);
-      console.log('✓ Heading inserted');
+        const moveIndex = options.before
+          ? targetSection.sectionStartIndex
+          : targetSection.sectionEndIndex;
+        const placement = `${options.before ? 'before' : 'after'} "${targetSection.title}"`;
 
-      // Apply heading style
-      const headingStyleRequest = {
-        updateParagraphStyle: {
-          range: {
-            startIndex: insertIndex,
-            endIndex: insertIndex + headingText.length - 1
-          },
-          paragraphStyle: {
-            namedStyleType: `HEADING_${options.level}`
-          },
-          fields: 'namedStyleType'
+        if (moveIndex === section.sectionStartIndex || moveIndex === section.sectionEndIndex) {
+          console.log(`✓ Section "${section.title}" is already ${placement}`);
+          return;
         }
-      };
 
-      await updateDocument(docs, options.documentId, [headingStyleRequest]);
-      console.log('✓ Heading styled');
-
-      // Insert content
-      const converter = new MarkdownToDocsConverter();
-      const { contentRequests, tableRequests, tables } = converter.convert(markdown);
-
-      const contentInsertIndex = insertIndex + headingText.length;
-      const indexOffset = contentInsertIndex - 1;
-
-      contentRequests.forEach(req => {
-        if (req.insertText) {
-          // Adjust insertText index to maintain relative positions
-          req.insertText.location.index += indexOffset;
-        } else if (req.updateTextStyle) {
-          req.updateTextStyle.range.startIndex += indexOffset;
-          req.updateTextStyle.range.endIndex += indexOffset;
-        } else if (req.updateParagraphStyle) {
-          req.updateParagraphStyle.range.startIndex += indexOffset;
-          req.updateParagraphStyle.range.endIndex += indexOffset;
-        } else if (req.createParagraphBullets) {
-          req.createParagraphBullets.range.startIndex += indexOffset;
-          req.createParagraphBullets.range.endIndex += indexOffset;
+        const elements = extractSectionContent(doc.data, section, true);
+        const copy = createCopyRequests(doc.data, elements, doc.data, moveIndex);
+
+        if (copy.skipped.length > 0 && !options.force) {
+          throw new Error(`Can't copy ${[...new Set(copy.skipped)].join(', ')} in "${section.title}". Add --force to move the section without them.`);
+        }
+
+        console.log(`Moving "${section.title}" (H${section.level}) ${placement}`);
+
+        // Whichever part comes later in the document goes first, so the other's indices hold
+        const removeRequests = createRemoveSectionRequests(doc.data, section);
+        const movingDown = moveIndex > section.sectionStartIndex;
+        const requests = movingDown
+          ? [...copy.requests, ...removeRequests]
+          : [...removeRequests, ...copy.requests];
+
+        const result = await updateDocument(docs, options.documentId, requests);
+        await populateFootnotes(docs, options.documentId, copy.footnotes, requests, result);
+        console.log('✓ Section moved');
+
+        // The moved headings have new IDs; point links at them again
+        const relink = await withRevisionRetry(async () => {
+          const updated = await getDocument(docs, options.documentId);
+          const relink = createHeadingRelinkRequests(updated.data, doc.data, copy, {
+            shift: movingDown ? section.sectionStartIndex - section.sectionEndIndex : 0,
+            relinkAll: true
+          });
+
+          await updateDocument(docs, options.documentId, relink.requests);
+          return relink;
+        });
+
+        for (const headingId of new Set(relink.unresolved)) {
+          console.warn(`Warning: Link to heading ${headingId} dropped (heading not found)`);
         }
+        for (const element of new Set(copy.skipped)) {
+          console.warn(`Warning: ${element} dropped`);
+        }
+
+        if (relink.requests.length > 0) {
+          console.log('✓ Heading links updated');
+        }
+
+        console.log(`✓ Section "${section.title}" moved ${placement}`);
       });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
 
-      await updateDocument(docs, options.documentId, contentRequests);
-      console.log('✓ Content inserted');
+// copy-section - Copy a section into another document (or the same one)
+program
+  .command('copy-section')
+  .description('Copy a section (heading, content and subsections) into another document')
+  .requiredOption('--from <id>', 'Document to copy from')
+  .requiredOption('--to <id>', 'Document to copy into (may be the same)')
+  .option('--title <title>', 'Section title or path to copy')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .option('--before <section>', 'Insert before this section of the target (title or path)')
+  .option('--after <section>', 'Insert after this section of the target (title or path)')
+  .option('--level-offset <n>', 'Levels to add to the copied headings (negative to raise them)', parseLevelOffset)
+  .option('--move', 'Delete the section from the source document once copied')
+  .option('--force', 'With --move, move even if some elements can\'t be copied (they are dropped)')
+  .action(async (options) => {
+    try {
+      if (options.before && options.after) {
+        console.error('Error: Specify either --before or --after, not both');
+        process.exit(1);
+      }
+      if (options.move && options.from === options.to) {
+        console.error('Error: Use move-section to move a section within a document');
+        process.exit(1);
+      }
+
+      const docs = await createDocsClient();
 
-      if (tableRequests.length > 0) {
-        await insertTables(docs, options.documentId, tableRequests);
-        await populateTables(docs, options.documentId, tables);
-        console.log('✓ Tables added');
+      await withRevisionRetry(async () => {
+        const source = await getDocument(docs, options.from);
+        const section = findSection(source.data, options.title, options);
+        const target = options.from === options.to
+          ? source
+          : await getDocument(docs, options.to);
+
+        const content = target.data.body.content;
+        let insertIndex = content[content.length - 1].endIndex;
+        let placement = 'at the end';
+
+        if (options.before || options.after) {
+          const targetSection = selectSection(parseDocumentSections(target.data), {
+            title: options.before || options.after,
+            exact: options.exact
+          });
+
+          insertIndex = options.before ? targetSection.sectionStartIndex : targetSection.sectionEndIndex;
+          placement = `${options.before ? 'before' : 'after'} "${targetSection.title}"`;
+        }
+
+        const elements = extractSectionContent(source.data, section, true);
+        const copy = createCopyRequests(source.data, elements, target.data, insertIndex, {
+          levelOffset: options.levelOffset
+        });
+        const skipped = [...new Set(copy.skipped)];
+
+        if (skipped.length > 0 && options.move && !options.force) {
+          throw new Error(`Can't copy ${skipped.join(', ')} in "${section.title}". Add --force to move the section without them.`);
+        }
+
+        console.log(`Copying "${section.title}" (H${section.level}) ${placement}`);
+
+        await applyCopy(docs, options.to, target.data, copy, {
+          sourceUrl: options.from === options.to ? null : `https://docs.google.com/document/d/${options.from}/edit`
+        });
+        console.log('✓ Section copied');
+
+        for (const element of skipped) {
+          console.warn(`Warning: ${element} not copied`);
+        }
+
+        if (options.move) {
+          // The source may have changed while copying; find the section again by its heading ID
+          await withRevisionRetry(async () => {
+            const current = await getDocument(docs, options.from);
+            const original = selectSection(parseDocumentSections(current.data), { headingId: section.headingId });
+
+            await updateDocument(docs, options.from, createRemoveSectionRequests(current.data, original));
+          });
+          console.log(`✓ Section "${section.title}" deleted from the source document`);
+        }
+
+        console.log(`✓ Section "${section.title}" ${options.move ? 'moved' : 'copied'} ${placement}`);
+        console.log(`View: https://docs.google.com/document/d/${options.to}/edit`);
+      });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// restructure-section - Promote or demote a section with its subsections
+program
+  .command('restructure-section')
+  .description('Promote or demote a section\'s heading and all of its subsection headings by one level')
+  .requiredOption('--documentId <id>', 'Document ID')
+  .option('--title <title>', 'Section title or path')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .option('--promote', 'One level up (H3 becomes H2)')
+  .option('--demote', 'One level down (H2 becomes H3)')
+  .action(async (options) => {
+    try {
+      if (!options.promote === !options.demote) {
+        console.error('Error: Must specify either --promote or --demote');
+        process.exit(1);
       }
 
-      console.log(`✓ Section "${options.title}" inserted`);
+      const docs = await createDocsClient();
+
+      await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const sections = parseDocumentSections(doc.data);
+        const section = findSection(doc.data, options.title, options);
+        const offset = options.promote ? -1 : 1;
+
+        const requests = createHeadingLevelRequests(sections, section, offset);
+        await updateDocument(docs, options.documentId, requests);
+
+        console.log(`✓ "${section.title}" is now H${section.level + offset} (${requests.length} heading(s) ${options.promote ? 'promoted' : 'demoted'})`);
+
+        // The section itself keeps its subsections, but may change parent or take in following sections
+        const inSection = (other) => other.sectionStartIndex >= section.sectionStartIndex &&
+          other.sectionStartIndex < section.sectionEndIndex;
+        const shifted = sections.map(other => inSection(other) ? { ...other, level: other.level + offset } : other);
+        const getParent = (list, i) => list.slice(0, i).reverse().find(other => other.level < list[i].level) || null;
+
+        const i = sections.indexOf(section);
+        const parent = getParent(shifted, i);
+        if (parent?.sectionStartIndex !== getParent(sections, i)?.sectionStartIndex) {
+          console.log(`  Now ${parent ? `under "${parent.title}"` : 'a top-level section'}`);
+        }
+
+        const adopted = shifted.filter((other, k) => !inSection(other) && getParent(shifted, k) === shifted[i]);
+        if (adopted.length > 0) {
+          console.log(`  Following sections now under it: ${adopted.map(other => `"${other.title}"`).join(', ')}`);
+        }
+      });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// rename-section - Change a heading's text, keeping its ID
+program
+  .command('rename-section')
+  .description('Change a section heading\'s text in place (its heading ID, and links to it, stay)')
+  .requiredOption('--documentId <id>', 'Document ID')
+  .option('--title <title>', 'Section title or path to rename')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .requiredOption('--to <title>', 'New heading text')
+  .action(async (options) => {
+    try {
+      if (!options.to.trim() || /[\r\n]/.test(options.to)) {
+        console.error('Error: --to must be a single line of text');
+        process.exit(1);
+      }
+
+      const docs = await createDocsClient();
+
+      await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const section = findSection(doc.data, options.title, options);
+
+        const requests = createRenameHeadingRequests(doc.data, section, options.to);
+        if (requests.length === 0) {
+          console.log(`✓ Section is already titled "${options.to}"`);
+          return;
+        }
+
+        await updateDocument(docs, options.documentId, requests);
+        console.log(`✓ Section "${section.title}" renamed to "${options.to}"`);
+      });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// split - One new document per section of a level
+program
+  .command('split')
+  .description('Create a new document from each section of a heading level')
+  .requiredOption('--documentId <id>', 'Document ID')
+  .requiredOption('--level <level>', 'Heading level of the sections to split off (1-6)', parseHeadingLevel)
+  .option('--title-template <template>', 'Title of each new document: {doc}, {section} and {n} are filled in', '{doc} - {section}')
+  .option('--level-offset <n>', 'Levels to add to the copied headings (negative to raise them)', parseLevelOffset)
+  .action(async (options) => {
+    try {
+      const docs = await createDocsClient();
+      const doc = await getDocument(docs, options.documentId);
+      const sections = parseDocumentSections(doc.data).filter(section => section.level === options.level);
+
+      if (sections.length === 0) {
+        throw new Error(`No H${options.level} sections in "${doc.data.title}"`);
+      }
+
+      // Build every section's copy before creating any document: a section that
+      // can't be copied (a heading the offset takes past H1-H6) throws here,
+      // before there are documents to leave behind
+      const contents = sections.map(section => extractSectionContent(doc.data, section, true));
+      const copies = contents.map(elements => createCopyRequests(doc.data, elements, doc.data, 1, {
+        levelOffset: options.levelOffset
+      }));
+
+      const sourceUrl = `https://docs.google.com/document/d/${options.documentId}/edit`;
+      const created = [];
+
+      for (const [i, section] of sections.entries()) {
+        const values = { doc: doc.data.title, section: section.title.trim(), n: String(i + 1) };
+        const title = options.titleTemplate.replace(/\{(doc|section|n)\}/g, (match, key) => values[key]);
+
+        const { documentId } = await createDocument(docs, title);
+        const target = (await getDocument(docs, documentId)).data;
+        const copy = createCopyRequests(doc.data, contents[i], target, 1, { levelOffset: options.levelOffset });
+        await applyCopy(docs, documentId, target, copy, { sourceUrl: sourceUrl });
+
+        for (const element of new Set(copies[i].skipped)) {
+          console.warn(`Warning: ${element} in "${section.title}" not copied`);
+        }
+
+        created.push({
+          title: title,
+          section: section.title,
+          documentId: documentId,
+          url: `https://docs.google.com/document/d/${documentId}/edit`
+        });
+      }
+
+      output({
+        success: true,
+        documents: created,
+        message: `Split into ${created.length} document(s)`
+      });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// merge - Append documents, each under a new heading
+program
+  .command('merge <documentIds...>')
+  .description('Append documents to another, each under a heading with its title')
+  .requiredOption('--into <id>', 'Document to append to')
+  .option('--level <level>', 'Level of the heading added for each document (1-6); their own headings move down to match', parseHeadingLevel, 1)
+  .action(async (documentIds, options) => {
+    try {
+      const docs = await createDocsClient();
+
+      // Read and check every document before changing anything
+      const sources = [];
+      for (const documentId of documentIds) {
+        const source = await getDocument(docs, documentId);
+        const copy = createCopyRequests(source.data, source.data.body.content, source.data, 1, {
+          levelOffset: options.level
+        });
+        sources.push({ documentId: documentId, doc: source.data, skipped: [...new Set(copy.skipped)] });
+      }
+
+      for (const source of sources) {
+        // Each step reads the document again, so edits made meanwhile are taken into account
+        await withRevisionRetry(async () => {
+          // The heading goes into the empty paragraph the body ends with, or a new one
+          const target = (await getDocument(docs, options.into)).data;
+          const content = target.body.content;
+          const last = content[content.length - 1];
+          const lastIsEmpty = last.paragraph?.elements?.length === 1 &&
+            last.paragraph.elements[0].textRun?.content === '\n';
+
+          const headingIndex = lastIsEmpty ? last.startIndex : last.endIndex;
+          const headingText = source.doc.title + '\n';
+          await updateDocument(docs, options.into, [
+            ...(lastIsEmpty ? [] : createEmptyParagraphRequests(target, headingIndex)),
+            {
+              insertText: {
+                location: { index: headingIndex },
+                text: headingText
+              }
+            },
+            {
+              updateParagraphStyle: {
+                range: {
+                  startIndex: headingIndex,
+                  endIndex: headingIndex + headingText.length
+                },
+                paragraphStyle: {
+                  namedStyleType: `HEADING_${options.level}`
+                },
+                fields: 'namedStyleType'
+              }
+            },
+            {
+              updateParagraphStyle: {
+                range: {
+                  startIndex: headingIndex + headingText.length,
+                  endIndex: headingIndex + headingText.length + 1
+                },
+                paragraphStyle: {
+                  namedStyleType: 'NORMAL_TEXT'
+                },
+                fields: 'namedStyleType'
+              }
+            },
+            {
+              deleteParagraphBullets: {
+                range: {
+                  startIndex: headingIndex,
+                  endIndex: headingIndex + headingText.length + 1
+                }
+              }
+            }
+          ]);
+        });
+
+        await withRevisionRetry(async () => {
+          // Content goes in front of the empty paragraph the heading was inserted above
+          const target = (await getDocument(docs, options.into)).data;
+          const insertIndex = target.body.content[target.body.content.length - 1].startIndex;
+          const copy = createCopyRequests(source.doc, source.doc.body.content, target, insertIndex, {
+            levelOffset: options.level
+          });
+          await applyCopy(docs, options.into, target, copy, {
+            sourceUrl: `https://docs.google.com/document/d/${source.documentId}/edit`
+          });
+        });
+
+        for (const element of source.skipped) {
+          console.warn(`Warning: ${element} in "${source.doc.title}" not copied`);
+        }
+        console.log(`✓ "${source.doc.title}" merged`);
+      }
+
+      console.log(`✓ ${sources.length} document(s) merged`);
+      console.log(`View: https://docs.google.com/document/d/${options.into}/edit`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// insert-table - Import a CSV/TSV file as a native table
+program
+  .command('insert-table')
+  .description('Insert a table from a CSV or TSV file at the end of a section')
+  .requiredOption('--documentId <id>', 'Document ID')
+  .requiredOption('--csv <path>', 'CSV file (.tsv files are read tab-separated)')
+  .option('--section <title>', 'Section title or path to add the table to (default: end of the document)')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .option('--header', 'Style the first row as a header row')
+  .option('--delimiter <char>', 'Field separator: one character, or tab, comma, semicolon, pipe', parseDelimiter)
+  .option('--quote <char>', 'Quote character (default: ")', parseQuoteChar)
+  .option('--no-quote', 'Read quote characters as plain text')
+  .option('--align <list>', 'Column alignments, comma-separated: left, center, right or auto (right-aligns numeric columns)', parseAlignments)
+  .option('--number-format <pattern>', 'Reformat numbers outside the header: 0.00, #,##0, 0.0%, ...', parseNumberFormat)
+  .option('--table-header-background <hex>', 'Background color for the header row', parseHexColor)
+  .option('--pin-table-header', 'Pin the header row')
+  .option('--theme <path>', 'Styling theme JSON (default: ~/.gdoc/theme.json)')
+  .action(async (options) => {
+    try {
+      const docs = await createDocsClient();
+
+      const rows = readCsvFile(options);
+
+      await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
+        const content = doc.data.body.content;
+        let insertIndex = content[content.length - 1].endIndex;
+        let target = 'the end of the document';
+
+        if (options.section || options.headingId) {
+          const section = findSection(doc.data, options.section, options);
+
+          insertIndex = section.contentEndIndex;
+          target = `the end of "${section.title}"`;
+        }
+
+        const table = buildTableFromRows(rows, {
+          index: insertIndex,
+          header: options.header,
+          align: options.align,
+          formatNumber: options.numberFormat,
+          theme: createConverter(options).getTableTheme()
+        });
+
+        await updateDocument(docs, options.documentId, [
+          ...createEmptyParagraphRequests(doc.data, insertIndex),
+          ...createTableRequests([table])
+        ]);
+
+        console.log(`✓ ${table.rows}x${table.cols} table inserted at ${target}`);
+      });
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -955,21 +2088,19 @@ program
   .description('Search for text in document')
   .requiredOption('--documentId <id>', 'Document ID')
   .requiredOption('--query <text>', 'Text to search for')
-  .option('--section <title>', 'Limit search to specific section')
+  .option('--section <title>', 'Limit search to specific section (title or path)')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
   .option('--json', 'Output as JSON')
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
-      const doc = await docs.documents.get({ documentId: options.documentId });
+      const doc = await getDocument(docs, options.documentId);
 
       let section = null;
-      if (options.section) {
-        const sections = parseDocumentSections(doc.data);
-        section = findSectionByTitle(sections, options.section);
-        if (!section) {
-          console.error(`Section not found: ${options.section}`);
-          process.exit(1);
-        }
+      if (options.section || options.headingId) {
+        section = findSection(doc.data, options.section, options);
       }
 
       const matches = searchInDocument(doc.data, options.query, section);
@@ -1003,66 +2134,303 @@ program
   .requiredOption('--documentId <id>', 'Document ID')
   .requiredOption('--find <text>', 'Text to find')
   .requiredOption('--replace <text>', 'Replacement text')
-  .option('--section <title>', 'Limit replacement to specific section')
+  .option('--section <title>', 'Limit replacement to specific section (title or path)')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
   .option('--preview', 'Preview changes without applying')
   .action(async (options) => {
     try {
       const docs = await createDocsClient();
-      const doc = await docs.documents.get({ documentId: options.documentId });
 
-      let section = null;
-      if (options.section) {
-        const sections = parseDocumentSections(doc.data);
-        section = findSectionByTitle(sections, options.section);
-        if (!section) {
-          console.error(`Section not found: ${options.section}`);
-          process.exit(1);
-        }
-      }
+      await withRevisionRetry(async () => {
+        const doc = await getDocument(docs, options.documentId);
 
-      const matches = searchInDocument(doc.data, options.find, section);
+        let section = null;
+        if (options.section || options.headingId) {
+          section = findSection(doc.data, options.section, options);
+        }
 
-      if (matches.length === 0) {
-        console.log(`No matches found for "${options.find}"`);
-        process.exit(0);
-      }
+        const matches = searchInDocument(doc.data, options.find, section);
 
-      console.log(`Found ${matches.length} match(es)`);
-      console.log('');
+        if (matches.length === 0) {
+          console.log(`No matches found for "${options.find}"`);
+          process.exit(0);
+        }
 
-      if (options.preview) {
-        console.log('Preview of changes:');
+        console.log(`Found ${matches.length} match(es)`);
         console.log('');
-        matches.forEach((match, idx) => {
-          const before = match.context.replace(options.find, `[${options.find}]`);
-          const after = match.context.replace(options.find, `[${options.replace}]`);
-          console.log(`${idx + 1}. Before: ...${before}...`);
-          console.log(`   After:  ...${after}...`);
+
+        if (options.preview) {
+          console.log('Preview of changes:');
           console.log('');
+          matches.forEach((match, idx) => {
+            const before = match.context.replace(options.find, `[${options.find}]`);
+            const after = match.context.replace(options.find, `[${options.replace}]`);
+            console.log(`${idx + 1}. Before: ...${before}...`);
+            console.log(`   After:  ...${after}...`);
+            console.log('');
+          });
+          console.log('Run without --preview to apply changes');
+        } else {
+          // Apply replacements in reverse order to avoid index shifting
+          const replacements = matches.reverse().map(match => ({
+            deleteContentRange: {
+              range: {
+                startIndex: match.startIndex,
+                endIndex: match.endIndex
+              }
+            }
+          }));
+
+          const insertions = matches.map(match => ({
+            insertText: {
+              location: { index: match.startIndex },
+              text: options.replace
+            }
+          }));
+
+          // Apply all replacements
+          await updateDocument(docs, options.documentId, [...replacements, ...insertions]);
+          console.log(`✓ Replaced ${matches.length} occurrence(s)`);
+        }
+      });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// table - Read and edit existing tables
+const tableCommand = program
+  .command('table')
+  .description('List, read and edit tables');
+
+/**
+ * Add a table subcommand with the options that address a table
+ */
+function addTableCommand(name, description) {
+  return tableCommand
+    .command(name)
+    .description(description)
+    .requiredOption('--documentId <id>', 'Document ID')
+    .option('--index <n>', 'Table number, from 0, in the document or within --section', parseIndexOption)
+    .option('--section <title>', 'Only consider tables in this section (title or path, partial match, case-insensitive)')
+    .option('--exact', 'Only match whole section titles')
+    .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+    .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal);
+}
+
+tableCommand
+  .command('list')
+  .description('List the tables in a document')
+  .requiredOption('--documentId <id>', 'Document ID')
+  .option('--section <title>', 'Only list tables in this section (title or path, partial match, case-insensitive)')
+  .option('--exact', 'Only match whole section titles')
+  .option('--heading-id <id>', 'Select the section by heading ID (see list-sections)')
+  .option('--nth <n>', 'Pick the nth matching section, from 1', parseOrdinal)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const docs = await createDocsClient();
+      const doc = await getDocument(docs, options.documentId);
+      const { tables } = findScopedTables(doc.data, options);
+
+      if (options.json) {
+        output(tables.map(({ cells, element, ...table }) => ({ ...table, header: cells[0] })));
+      } else {
+        console.log(`Document: ${doc.data.title}`);
+        console.log('');
+        if (tables.length === 0) {
+          console.log('No tables found');
+        }
+        tables.forEach((table, i) => {
+          const section = table.section ? ` in "${table.section}"` : '';
+          console.log(`${options.section || options.headingId ? i : table.index}. ${table.rows}x${table.columns}${section} [${table.startIndex}-${table.endIndex}]`);
+          console.log(`   ${table.cells[0].join(' | ')}`);
+        });
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('read', 'Read a table as CSV, JSON or markdown')
+  .option('--format <format>', 'Output format: csv, json or markdown', parseTableFormat, 'csv')
+  .option('-o, --output <path>', 'Output file (default: stdout)')
+  .action(async (options) => {
+    try {
+      const docs = await createDocsClient();
+      const doc = await getDocument(docs, options.documentId);
+      const table = selectTable(doc.data, options);
+
+      const exported = TABLE_FORMATS[options.format](doc.data, table);
+
+      if (options.output) {
+        fs.writeFileSync(options.output, exported);
+        output({
+          success: true,
+          documentId: options.documentId,
+          table: table.index,
+          file: options.output,
+          format: options.format,
+          message: `Table exported to ${options.format}`
         });
-        console.log('Run without --preview to apply changes');
       } else {
-        // Apply replacements in reverse order to avoid index shifting
-        const replacements = matches.reverse().map(match => ({
-          deleteContentRange: {
-            range: {
-              startIndex: match.startIndex,
-              endIndex: match.endIndex
-            }
-          }
-        }));
+        process.stdout.write(exported);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
 
-        const insertions = matches.map(match => ({
-          insertText: {
-            location: { index: match.startIndex },
-            text: options.replace
+addTableCommand('set-cell', 'Replace the text of one cell')
+  .requiredOption('--row <n>', 'Row, from 0 (the header row is 0)', parseIndexOption)
+  .requiredOption('--col <n>', 'Column, from 0', parseIndexOption)
+  .requiredOption('--text <text>', 'New cell text (empty to clear)')
+  .action(async (options) => {
+    try {
+      await runTableEdit(options, () => ({
+        cells: [{ row: options.row, col: options.col, text: options.text }],
+        message: `Cell ${options.row},${options.col} updated`
+      }));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('append-row', 'Add a row at the end of a table')
+  .option('--values <csv>', 'Cell values as one CSV line', parseCsvLine)
+  .action(async (options) => {
+    try {
+      await runTableEdit(options, (table) => ({
+        operations: [{ type: 'insertRow', index: table.rows }],
+        cells: lineCells(options.values || [], table.columns, col => ({ row: table.rows, col: col })),
+        message: `Row ${table.rows} appended`
+      }));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('insert-row', 'Insert a row so it becomes row --at')
+  .requiredOption('--at <n>', 'Position of the new row, from 0', parseIndexOption)
+  .option('--values <csv>', 'Cell values as one CSV line', parseCsvLine)
+  .action(async (options) => {
+    try {
+      await runTableEdit(options, (table) => ({
+        operations: [{ type: 'insertRow', index: options.at }],
+        cells: lineCells(options.values || [], table.columns, col => ({ row: options.at, col: col })),
+        message: `Row ${options.at} inserted`
+      }));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('delete-row', 'Delete a row')
+  .requiredOption('--row <n>', 'Row, from 0', parseIndexOption)
+  .action(async (options) => {
+    try {
+      await runTableEdit(options, () => ({
+        operations: [{ type: 'deleteRow', index: options.row }],
+        message: `Row ${options.row} deleted`
+      }));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('append-column', 'Add a column at the right of a table')
+  .option('--values <csv>', 'Cell values, top to bottom, as one CSV line', parseCsvLine)
+  .action(async (options) => {
+    try {
+      await runTableEdit(options, (table) => ({
+        operations: [{ type: 'insertColumn', index: table.columns }],
+        cells: lineCells(options.values || [], table.rows, row => ({ row: row, col: table.columns })),
+        message: `Column ${table.columns} appended`
+      }));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('insert-column', 'Insert a column so it becomes column --at')
+  .requiredOption('--at <n>', 'Position of the new column, from 0', parseIndexOption)
+  .option('--values <csv>', 'Cell values, top to bottom, as one CSV line', parseCsvLine)
+  .action(async (options) => {
+    try {
+      await runTableEdit(options, (table) => ({
+        operations: [{ type: 'insertColumn', index: options.at }],
+        cells: lineCells(options.values || [], table.rows, row => ({ row: row, col: options.at })),
+        message: `Column ${options.at} inserted`
+      }));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('delete-column', 'Delete a column')
+  .requiredOption('--col <n>', 'Column, from 0', parseIndexOption)
+  .action(async (options) => {
+    try {
+      await runTableEdit(options, () => ({
+        operations: [{ type: 'deleteColumn', index: options.col }],
+        message: `Column ${options.col} deleted`
+      }));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+addTableCommand('replace', 'Rewrite a whole table from a CSV file, keeping its formatting')
+  .requiredOption('--csv <path>', 'CSV file (.tsv files are read tab-separated); its first row goes into the header row')
+  .option('--delimiter <char>', 'Field separator: one character, or tab, comma, semicolon, pipe', parseDelimiter)
+  .option('--quote <char>', 'Quote character (default: ")', parseQuoteChar)
+  .option('--no-quote', 'Read quote characters as plain text')
+  .action(async (options) => {
+    try {
+      const rows = readCsvFile(options);
+      const columns = Math.max(...rows.map(row => row.length));
+
+      await runTableEdit(options, (table) => {
+        // Grow or shrink at the end; rows and columns that stay keep their formatting
+        const operations = [];
+        for (let row = table.rows; row < rows.length; row++) {
+          operations.push({ type: 'insertRow', index: row });
+        }
+        for (let row = table.rows - 1; row >= rows.length; row--) {
+          operations.push({ type: 'deleteRow', index: row });
+        }
+        for (let col = table.columns; col < columns; col++) {
+          operations.push({ type: 'insertColumn', index: col });
+        }
+        for (let col = table.columns - 1; col >= columns; col--) {
+          operations.push({ type: 'deleteColumn', index: col });
+        }
+
+        const cells = [];
+        rows.forEach((values, row) => {
+          for (let col = 0; col < columns; col++) {
+            cells.push({ row: row, col: col, text: (values[col] || '').replace(/\r\n?/g, '\n') });
           }
-        }));
+        });
 
-        // Apply all replacements
-        await updateDocument(docs, options.documentId, [...replacements, ...insertions]);
-        console.log(`✓ Replaced ${matches.length} occurrence(s)`);
-      }
+        return {
+          operations: operations,
+          cells: cells,
+          message: `Table replaced with ${rows.length}x${columns} cells from ${options.csv}`
+        };
+      });
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -0,0 +1,93 @@
+/**
+ * Resolve markdown image sources into URLs the Docs API can fetch
+ *
+ * The Docs API downloads images itself, so local files must first be made
+ * available at a public URL. That step is delegated to an uploader:
+ * an async function (filePath, image) => url.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Check whether an image source is already a fetchable URL
+ */
+function isRemoteSource(src) {
+  return /^https?:\/\//i.test(src);
+}
+
+/**
+ * Build an uploader from CLI options
+ * @param {Object} options - { imageUploader: module path, imageBaseUrl: URL prefix }
+ * @returns {Function|null} Async uploader, or null when none is configured
+ */
+function createImageUploader(options = {}) {
+  if (options.imageUploader) {
+    const modulePath = path.resolve(options.imageUploader);
+    if (!fs.existsSync(modulePath)) {
+      throw new Error(`Image uploader not found: ${modulePath}`);
+    }
+
+    const uploaderModule = require(modulePath);
+    const upload = typeof uploaderModule === 'function' ? uploaderModule : uploaderModule.upload;
+    if (typeof upload !== 'function') {
+      throw new Error(`Image uploader must export a function or an upload() function: ${modulePath}`);
+    }
+    return upload;
+  }
+
+  if (options.imageBaseUrl) {
+    // Files are published separately; map the relative source onto the base URL
+    const baseUrl = options.imageBaseUrl.endsWith('/') ? options.imageBaseUrl : options.imageBaseUrl + '/';
+    return async (filePath, image) => new URL(image.src.replace(/^\.\//, ''), baseUrl).toString();
+  }
+
+  return null;
+}
+
+/**
+ * Decode the percent-escapes of a local image path
+ * A path with a literal `%` (e.g. `100%.png`) is used as written.
+ */
+function decodeSource(src) {
+  try {
+    return decodeURI(src);
+  } catch (error) {
+    return src;
+  }
+}
+
+/**
+ * Point every local image request at an uploaded URL
+ * @param {Array} images - Image metadata from MarkdownToDocsConverter.convert()
+ * @param {Object} options - { baseDir: directory of the markdown file, uploader: Function|null }
+ */
+async function resolveImageSources(images, { baseDir, uploader }) {
+  for (const image of images) {
+    if (isRemoteSource(image.src)) {
+      continue;
+    }
+
+    const filePath = path.resolve(baseDir, decodeSource(image.src));
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Image not found: ${filePath}`);
+    }
+
+    if (!uploader) {
+      throw new Error(`Local image "${image.src}" needs --image-uploader or --image-base-url`);
+    }
+
+    const url = await uploader(filePath, image);
+    if (!isRemoteSource(url)) {
+      throw new Error(`Image uploader returned an invalid URL for ${image.src}: ${url}`);
+    }
+
+    image.request.insertInlineImage.uri = url;
+  }
+}
+
+module.exports = {
+  isRemoteSource,
+  createImageUploader,
+  resolveImageSources
+};
@@ -0,0 +1,61 @@
+/**
+ * marked extension for footnotes
+ *
+ * Definitions:  [^id]: Footnote text
+ *                   indented continuation lines belong to the footnote
+ * References:   Some claim[^id].
+ *
+ * Produces `footnote` block tokens ({ id, text, tokens }) and
+ * `footnoteRef` inline tokens ({ id }).
+ */
+
+const DEFINITION_PATTERN = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n|$)/;
+const REFERENCE_PATTERN = /^\[\^([^\]\s]+)\](?!:)/;
+
+function markedFootnotes() {
+  return {
+    extensions: [
+      {
+        name: 'footnote',
+        level: 'block',
+        start(src) {
+          const match = /^\[\^[^\]\s]+\]:/m.exec(src);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = DEFINITION_PATTERN.exec(src);
+          if (!match) return undefined;
+
+          const text = match[2].replace(/\n(?: {2,}|\t)/g, '\n').trim();
+          return {
+            type: 'footnote',
+            raw: match[0],
+            id: match[1],
+            text: text,
+            tokens: this.lexer.inlineTokens(text)
+          };
+        }
+      },
+      {
+        name: 'footnoteRef',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('[^');
+          return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+          const match = REFERENCE_PATTERN.exec(src);
+          if (!match) return undefined;
+
+          return {
+            type: 'footnoteRef',
+            raw: match[0],
+            id: match[1]
+          };
+        }
+      }
+    ]
+  };
+}
+
+module.exports = markedFootnotes;
@@ -0,0 +1,284 @@
+/**
+ * Two-way sync between a markdown file and a Google Doc
+ *
+ * Both sides are split into flat sections: a heading and everything up to
+ * the next heading of any level (content before the first heading is the
+ * preamble). Sections are matched by their heading path, so edits are
+ * merged section by section against the last synced base:
+ *
+ *   changed on one side only   -> that side wins
+ *   changed on both sides      -> conflict (markers in the markdown file)
+ *
+ * The base lives in a sidecar file next to the markdown file. It holds the
+ * markdown as last written locally and the document as last exported, so
+ * each side is compared with a base in its own form and export formatting
+ * never reads as an edit.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { Marked } = require('marked');
+const markedFootnotes = require('./markdown-footnotes');
+const DocsToMarkdownConverter = require('./docs-to-markdown');
+const { slugify, extractTextFromParagraph } = require('./document-sections');
+
+const HEADING_LEVELS = {
+  TITLE: 1,
+  HEADING_1: 1,
+  HEADING_2: 2,
+  HEADING_3: 3,
+  HEADING_4: 4,
+  HEADING_5: 5,
+  HEADING_6: 6
+};
+
+const CONFLICT_START = '<<<<<<< local';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>> google-doc';
+
+const CONFLICT_PATTERN = /^(<{7} local|>{7} google-doc)$/m;
+
+/**
+ * Sidecar path for a markdown file: notes.md -> .notes.md.gdoc-sync.json
+ */
+function getSyncStatePath(filePath) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.gdoc-sync.json`);
+}
+
+/**
+ * Read the last synced state
+ * @returns {Object|null} { documentId, revisionId, syncedAt, local, remote } or null before the first sync
+ */
+function loadSyncState(filePath) {
+  const statePath = getSyncStatePath(filePath);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid sync state ${statePath}: ${error.message}`);
+  }
+}
+
+function saveSyncState(filePath, state) {
+  fs.writeFileSync(getSyncStatePath(filePath), JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Generate section keys from heading paths ("api/auth"), numbering repeats ("api/auth~2")
+ */
+function createSectionKeyer() {
+  const stack = [];
+  const seen = {};
+
+  return (level, title) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    stack.push({ level: level, slug: slugify(title) });
+
+    const base = stack.map(entry => entry.slug).join('/');
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base}~${seen[base]}` : base;
+  };
+}
+
+function getInlineText(tokens = []) {
+  return tokens.map(token => token.tokens ? getInlineText(token.tokens) : (token.text || '')).join('');
+}
+
+/**
+ * Split markdown into flat sections
+ * @param {string} markdown - Markdown without front matter
+ * @returns {Object} { sections: [{ key, title, heading, body, text }], footnotes: string }
+ */
+function splitMarkdownSections(markdown) {
+  const source = markdown.replace(/\r\n?/g, '\n');
+  const tokens = new Marked(markedFootnotes()).lexer(source);
+  const keyer = createSectionKeyer();
+
+  // Token raws skip link definitions, so boundaries are located in the source
+  const boundaries = [{ position: 0, key: '', title: '', heading: '' }];
+  const footnotes = [];
+  let cursor = 0;
+
+  for (const token of tokens) {
+    const position = source.indexOf(token.raw, cursor);
+    if (position === -1) continue;
+    cursor = position + token.raw.length;
+
+    if (token.type === 'heading') {
+      const title = getInlineText(token.tokens).trim();
+      boundaries.push({
+        position: position,
+        key: keyer(token.depth, title),
+        title: title,
+        heading: token.raw.trim()
+      });
+    } else if (token.type === 'footnote') {
+      footnotes.push(token.raw.trim());
+    }
+  }
+
+  const sections = [];
+  boundaries.forEach((boundary, i) => {
+    const end = i + 1 < boundaries.length ? boundaries[i + 1].position : source.length;
+    const text = source.slice(boundary.position, end).trim();
+
+    // An empty preamble is not a section
+    if (!boundary.heading && !text) return;
+
+    sections.push({
+      key: boundary.key,
+      title: boundary.title,
+      heading: boundary.heading,
+      body: text.slice(boundary.heading.length).trim(),
+      text: text
+    });
+  });
+
+  return { sections: sections, footnotes: footnotes.join('\n') };
+}
+
+/**
+ * Split a Google Doc into flat sections, each exported to markdown
+ * @param {Object} doc - Google Docs API document object
+ * @returns {Array} [{ key, title, text, startIndex, headingEndIndex, endIndex }]
+ */
+function splitDocumentSections(doc) {
+  const content = doc.body.content;
+  const keyer = createSectionKeyer();
+  const exporter = new DocsToMarkdownConverter();
+  const bodyEndIndex = content[content.length - 1].endIndex;
+
+  const boundaries = [{ key: '', title: '', startIndex: 1, headingEndIndex: 1, elements: [] }];
+
+  for (const element of content) {
+    const level = HEADING_LEVELS[element.paragraph?.paragraphStyle?.namedStyleType];
+    const title = level ? extractTextFromParagraph(element.paragraph).trim() : '';
+
+    if (title) {
+      boundaries.push({
+        key: keyer(level, title),
+        title: title,
+        startIndex: element.startIndex,
+        headingEndIndex: element.endIndex,
+        elements: []
+      });
+    }
+    boundaries[boundaries.length - 1].elements.push(element);
+  }
+
+  const sections = [];
+  boundaries.forEach((boundary, i) => {
+    const text = exporter.convert(doc, boundary.elements).trim();
+    if (!boundary.title && !text) return;
+
+    sections.push({
+      key: boundary.key,
+      title: boundary.title,
+      text: text,
+      startIndex: boundary.startIndex,
+      headingEndIndex: boundary.headingEndIndex,
+      endIndex: i + 1 < boundaries.length ? boundaries[i + 1].startIndex : bodyEndIndex
+    });
+  });
+
+  return sections;
+}
+
+function normalize(text) {
+  return text === undefined ? undefined : text.replace(/[ \t]+$/gm, '').trim();
+}
+
+function toMap(sections) {
+  return new Map(sections.map(section => [section.key, section]));
+}
+
+/**
+ * Three-way merge of section lists
+ * @param {Object} sides - { baseLocal, baseRemote, local, remote } section arrays
+ *   (baseLocal/local in the file's form, baseRemote/remote in exported form)
+ * @param {string} prefer - 'local' or 'remote' to resolve conflicts, else markers
+ * @returns {Array} Merged entries in document order:
+ *   { key, text, source: 'unchanged' | 'local' | 'remote' | 'conflict', local, remote, base }
+ *   Entries with text null are deletions.
+ */
+function mergeSections(sides, prefer = null) {
+  const baseLocal = toMap(sides.baseLocal);
+  const baseRemote = toMap(sides.baseRemote);
+  const local = toMap(sides.local);
+  const remote = toMap(sides.remote);
+
+  // Local order, with sections only the document has placed after their remote predecessor
+  const order = sides.local.map(section => section.key);
+  let previous = null;
+  for (const section of sides.remote) {
+    if (!local.has(section.key)) {
+      const at = previous === null ? 0 : order.indexOf(previous) + 1;
+      order.splice(at, 0, section.key);
+    }
+    previous = section.key;
+  }
+  for (const section of sides.baseLocal) {
+    if (!order.includes(section.key)) {
+      order.push(section.key);
+    }
+  }
+
+  return order.map(key => {
+    const l = local.get(key);
+    const r = remote.get(key);
+    const localChanged = normalize(l?.text) !== normalize(baseLocal.get(key)?.text);
+    const remoteChanged = normalize(r?.text) !== normalize(baseRemote.get(key)?.text);
+    const entry = { key: key, local: l, remote: r, base: baseLocal.get(key) };
+
+    if (!remoteChanged) {
+      return { ...entry, text: l ? l.text : null, source: localChanged ? 'local' : 'unchanged' };
+    }
+    if (!localChanged) {
+      return { ...entry, text: r ? r.text : null, source: 'remote' };
+    }
+    if (!l && !r) {
+      return { ...entry, text: null, source: 'unchanged' };
+    }
+
+    if (prefer === 'local') {
+      return { ...entry, text: l ? l.text : null, source: 'local' };
+    }
+    if (prefer === 'remote') {
+      return { ...entry, text: r ? r.text : null, source: 'remote' };
+    }
+
+    return {
+      ...entry,
+      text: [CONFLICT_START, l ? l.text : '', CONFLICT_SEPARATOR, r ? r.text : '', CONFLICT_END].join('\n'),
+      source: 'conflict'
+    };
+  });
+}
+
+/**
+ * Join section texts back into a markdown body
+ */
+function joinSections(texts) {
+  const body = texts.filter(text => text !== null && text !== undefined && text.trim()).join('\n\n');
+  return body ? body + '\n' : '';
+}
+
+function hasConflictMarkers(markdown) {
+  return CONFLICT_PATTERN.test(markdown);
+}
+
+module.exports = {
+  getSyncStatePath,
+  loadSyncState,
+  saveSyncState,
+  splitMarkdownSections,
+  splitDocumentSections,
+  mergeSections,
+  joinSections,
+  hasConflictMarkers
+};
@@ -1,33 +1,185 @@
-const { marked } = require('marked');
+const { Marked } = require('marked');
+const { highlight, getLanguageName } = require('./syntax-highlight');
+const markedFootnotes = require('./markdown-footnotes');
+const { parseFrontMatter, getBaseStyle } = require('./front-matter');
+const { buildOutline, createSlugger } = require('./document-sections');
+const { resolveTheme, parseColor } = require('./theme');
+const { createTableRequests } = require('./document-tables');
+
+// Paragraph that expands into a linked table of contents
+const TOC_PATTERN = /^\s*\[TOC\]\s*$/i;
+
+const TOC_INDENT_PT = 18;
+
+// Explicit page break marker, e.g. <!-- pagebreak -->
+const PAGE_BREAK_PATTERN = /^\s*<!--\s*page-?break\s*-->\s*$/i;
+
+// Stands in for inline objects (images, footnote references) that occupy a single index in Docs
+const INLINE_OBJECT = '\uFFFC';
+
+// Size hints written right after an image, e.g. ![alt](src){width=300 height=200}
+const IMAGE_ATTRIBUTES_PATTERN = /^\{([^}]*)\}/;
+
+// Docs renders a vertical tab as a line break inside the paragraph
+const LINE_BREAK = '\u000b';
+
+// Inline HTML tags mapped to Docs text styles
+const INLINE_HTML_STYLES = {
+  u: { textStyle: { underline: true }, fields: 'underline' },
+  ins: { textStyle: { underline: true }, fields: 'underline' },
+  s: { textStyle: { strikethrough: true }, fields: 'strikethrough' },
+  del: { textStyle: { strikethrough: true }, fields: 'strikethrough' },
+  strike: { textStyle: { strikethrough: true }, fields: 'strikethrough' },
+  sup: { textStyle: { baselineOffset: 'SUPERSCRIPT' }, fields: 'baselineOffset' },
+  sub: { textStyle: { baselineOffset: 'SUBSCRIPT' }, fields: 'baselineOffset' },
+  mark: {
+    textStyle: { backgroundColor: { color: { rgbColor: { red: 1, green: 0.95, blue: 0.4 } } } },
+    fields: 'backgroundColor'
+  }
+};
+
+const HTML_TAG_PATTERN = /^<(\/)?([a-z][a-z0-9]*)\b[^>]*?(\/)?>$/i;
 
 /**
  * Converts markdown to Google Docs API batch requests
  *
- * Tables require multi-pass processing:
- * 1. Insert table structure
- * 2. Read back document to get cell positions
- * 3. Populate cells with content
+ * Tables are left as empty paragraphs in the content requests; the table
+ * requests create and fill them (see document-tables.js) and go in the
+ * same batch, after the content.
  */
 class MarkdownToDocsConverter {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.codeCaptions - Show the language above fenced code blocks
+   * @param {Object} options.tableHeaderBackground - rgbColor for table header cells
+   * @param {boolean} options.pinTableHeader - Pin the header row of every table
+   * @param {Object} options.theme - Partial styling theme (see theme.js)
+   */
+  constructor(options = {}) {
+    this.theme = resolveTheme(options.theme);
+    this.codeCaptions = options.codeCaptions || false;
+    this.tableHeaderBackground = options.tableHeaderBackground ||
+      (this.theme.table.headerBackground ? parseColor(this.theme.table.headerBackground) : null);
+    this.pinTableHeader = options.pinTableHeader || this.theme.table.pinHeader || false;
+    this.marked = new Marked(markedFootnotes());
     this.requests = [];
-    this.tableInsertRequests = [];
     this.currentIndex = 1; // Docs API uses 1-based indexing
-    this.tables = []; // Metadata about tables to populate later
+    this.tables = []; // Tables to create once the content is in place
+    this.images = []; // Inline images whose sources may need uploading
+    this.footnotes = []; // Footnote bodies to populate once their segments exist
+    this.footnoteDefinitions = {};
+    this.frontMatter = {};
+    this.baseStyle = this.getThemedBaseStyle({});
+    this.headings = []; // { level, title, slug } for [TOC]
+    this.anchorLinks = []; // `#slug` links to resolve against heading IDs
+    this.blockquoteDepth = 0;
+    this.handlers = {}; // Custom renderers per token type
+    this.hooks = { beforeBlock: [], afterBlock: [] };
+  }
+
+  /**
+   * Register a renderer for a block token type (built-in or from a marked extension)
+   * The handler is called as handler(token, converter). It emits requests
+   * through the converter (appendText, pushRequest, processToken, ...), which
+   * keeps currentIndex in sync. Returning false falls back to the built-in
+   * rendering, so handlers can claim only some tokens of a type.
+   * @param {string} type - Token type, e.g. 'blockquote' or 'callout'
+   * @param {Function} handler - (token, converter) => void | false
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+    return this;
+  }
+
+  /**
+   * Add marked extensions (tokenizers) used when lexing markdown
+   * @param {...Object} extensions - Arguments for marked's use()
+   */
+  useMarkedExtension(...extensions) {
+    this.marked.use(...extensions);
+    return this;
+  }
+
+  /**
+   * Run a callback around every block
+   * beforeBlock: (token, converter) => void
+   * afterBlock: (token, converter, { startIndex, endIndex }) => void
+   */
+  addHook(name, callback) {
+    if (!this.hooks[name]) {
+      throw new Error(`Unknown converter hook: ${name}`);
+    }
+    this.hooks[name].push(callback);
+    return this;
+  }
+
+  /**
+   * Queue a Docs API request at the current position
+   * Requests that insert content must be followed by advancing currentIndex.
+   */
+  pushRequest(request) {
+    this.requests.push(request);
+  }
+
+  /**
+   * Append a paragraph at currentIndex, with base style and inline formatting
+   * @param {string} text - Plain text (a trailing newline is added if missing)
+   * @param {Array} tokens - Optional inline tokens the text was extracted from
+   * @returns {Object} { startIndex, endIndex } of the text, excluding the newline
+   */
+  appendText(text, tokens = null) {
+    const paragraphText = text.endsWith('\n') ? text : text + '\n';
+    const startIndex = this.currentIndex;
+
+    this.insertText(paragraphText, startIndex, tokens ? [tokens] : []);
+    this.currentIndex += paragraphText.length;
+
+    this.applyBaseStyle(startIndex, this.currentIndex - 1);
+    this.applyInlineFormatting(tokens, startIndex);
+
+    return { startIndex: startIndex, endIndex: this.currentIndex - 1 };
   }
 
   /**
    * Main conversion method
    * @param {string} markdown - Markdown content to convert
-   * @returns {Object} { contentRequests: Array, tableRequests: Array, tables: Array }
+   * @returns {Object} { contentRequests: Array, tableRequests: Array, tables: Array, images: Array, footnotes: Array, frontMatter: Object, anchorLinks: Array }
+   *   tableRequests go after contentRequests, in the same batch
    */
   convert(markdown) {
     this.requests = [];
-    this.tableInsertRequests = [];
     this.tables = [];
+    this.images = [];
+    this.footnotes = [];
     this.currentIndex = 1;
+    this.blockquoteDepth = 0;
+
+    // Front matter is metadata, not content
+    const { data, content } = parseFrontMatter(markdown);
+    this.frontMatter = data;
+    this.baseStyle = this.getThemedBaseStyle(data);
+
+    const tokens = this.marked.lexer(content);
+    this.attachImageAttributes(tokens);
+
+    // Definitions may follow their references, so collect them up front
+    this.footnoteDefinitions = {};
+    for (const token of tokens) {
+      if (token.type === 'footnote') {
+        this.footnoteDefinitions[token.id] = token;
+      }
+    }
 
-    const tokens = marked.lexer(markdown);
+    // A [TOC] may precede the headings it lists
+    const slugger = createSlugger();
+    this.headings = [];
+    this.anchorLinks = [];
+    for (const token of tokens) {
+      if (token.type === 'heading') {
+        const title = this.extractPlainText(token.tokens).split(INLINE_OBJECT).join('');
+        this.headings.push({ level: token.depth, title: title, slug: slugger(title) });
+      }
+    }
 
     for (const token of tokens) {
       this.processToken(token);
@@ -35,18 +187,48 @@ class MarkdownToDocsConverter {
 
     return {
       contentRequests: this.requests,
-      tableRequests: this.tableInsertRequests,
-      tables: this.tables
+      tableRequests: createTableRequests(this.tables),
+      tables: this.tables,
+      images: this.images,
+      footnotes: this.footnotes,
+      frontMatter: this.frontMatter,
+      anchorLinks: this.anchorLinks
     };
   }
 
   processToken(token) {
+    // Blank lines are not blocks
+    if (token.type === 'space') {
+      return;
+    }
+
+    for (const hook of this.hooks.beforeBlock) {
+      hook(token, this);
+    }
+
+    const startIndex = this.currentIndex;
+    const handler = this.handlers[token.type];
+
+    if (!handler || handler(token, this) === false) {
+      this.processBuiltinToken(token);
+    }
+
+    for (const hook of this.hooks.afterBlock) {
+      hook(token, this, { startIndex: startIndex, endIndex: this.currentIndex });
+    }
+  }
+
+  processBuiltinToken(token) {
     switch (token.type) {
       case 'heading':
         this.addHeading(token);
         break;
       case 'paragraph':
-        this.addParagraph(token);
+        if (TOC_PATTERN.test(token.text)) {
+          this.addTableOfContents();
+        } else {
+          this.addParagraph(token);
+        }
         break;
       case 'list':
         this.addList(token);
@@ -57,8 +239,21 @@ class MarkdownToDocsConverter {
       case 'table':
         this.addTable(token);
         break;
-      case 'space':
-        // Skip empty lines
+      case 'blockquote':
+        this.addBlockquote(token);
+        break;
+      case 'hr':
+        this.addHorizontalRule();
+        break;
+      case 'html':
+        if (PAGE_BREAK_PATTERN.test(token.text)) {
+          this.addPageBreak();
+        } else {
+          console.warn('Unsupported HTML block skipped');
+        }
+        break;
+      case 'footnote':
+        // Definitions are rendered at their references
         break;
       default:
         console.warn(`Unsupported token type: ${token.type}`);
@@ -70,12 +265,7 @@ class MarkdownToDocsConverter {
     const startIndex = this.currentIndex;
 
     // Insert text
-    this.requests.push({
-      insertText: {
-        location: { index: this.currentIndex },
-        text: text
-      }
-    });
+    this.insertText(text, startIndex, [token.tokens]);
 
     this.currentIndex += text.length;
 
@@ -94,62 +284,259 @@ class MarkdownToDocsConverter {
       }
     });
 
+    this.applyHeadingTheme(startIndex, this.currentIndex - 1, token.depth);
+
     // Apply inline formatting (bold, italic, links)
     this.applyInlineFormatting(token.tokens, startIndex);
   }
 
-  addParagraph(token) {
-    const text = this.extractPlainText(token.tokens) + '\n';
-    const startIndex = this.currentIndex;
+  /**
+   * Override the named heading style with the theme's heading settings
+   * Headings keep their named style size, so of the base style only the
+   * font family carries over; it goes in the same request.
+   */
+  applyHeadingTheme(startIndex, endIndex, depth) {
+    const headings = this.theme.headings;
+    const level = headings['h' + depth] || {};
+    const range = { startIndex: startIndex, endIndex: endIndex };
 
-    // Insert text
-    this.requests.push({
-      insertText: {
-        location: { index: this.currentIndex },
-        text: text
-      }
-    });
+    const textStyle = {};
+    const textFields = [];
 
-    this.currentIndex += text.length;
+    const baseFont = this.baseStyle.fields.includes('weightedFontFamily')
+      ? this.baseStyle.textStyle.weightedFontFamily.fontFamily
+      : null;
+    const font = level.font || headings.font || baseFont;
+    if (font) {
+      textStyle.weightedFontFamily = { fontFamily: font };
+      textFields.push('weightedFontFamily');
+    }
 
-    // Apply inline formatting
-    this.applyInlineFormatting(token.tokens, startIndex);
-  }
+    if (level.fontSize) {
+      textStyle.fontSize = { magnitude: level.fontSize, unit: 'PT' };
+      textFields.push('fontSize');
+    }
 
-  addList(token) {
-    const isOrdered = token.ordered;
+    const color = level.color || headings.color;
+    if (color) {
+      textStyle.foregroundColor = { color: { rgbColor: parseColor(color) } };
+      textFields.push('foregroundColor');
+    }
 
-    for (const item of token.items) {
-      const text = this.extractPlainText(item.tokens) + '\n';
-      const startIndex = this.currentIndex;
+    if (level.bold !== undefined) {
+      textStyle.bold = level.bold;
+      textFields.push('bold');
+    }
 
-      // Insert text
+    if (textFields.length > 0) {
       this.requests.push({
-        insertText: {
-          location: { index: this.currentIndex },
-          text: text
+        updateTextStyle: {
+          range: range,
+          textStyle: textStyle,
+          fields: textFields.join(',')
         }
       });
+    }
+
+    const paragraphStyle = {};
+    const paragraphFields = [];
 
-      this.currentIndex += text.length;
+    for (const key of ['spaceAbove', 'spaceBelow']) {
+      if (level[key] !== undefined) {
+        paragraphStyle[key] = { magnitude: level[key], unit: 'PT' };
+        paragraphFields.push(key);
+      }
+    }
 
-      // Apply list formatting
+    if (paragraphFields.length > 0) {
+      this.requests.push({
+        updateParagraphStyle: {
+          range: range,
+          paragraphStyle: paragraphStyle,
+          fields: paragraphFields.join(',')
+        }
+      });
+    }
+  }
+
+  addParagraph(token) {
+    this.appendText(this.extractPlainText(token.tokens), token.tokens);
+  }
+
+  /**
+   * Insert a list (including nested sub-lists) as Docs bullets
+   *
+   * Nesting is expressed with leading tabs, which createParagraphBullets
+   * converts into nesting levels and then removes. The whole list gets a
+   * single bullet request so numbering continues across its items; nested
+   * lists of another kind (ordered, unordered or task list) are re-bulleted
+   * afterwards with their own preset.
+   */
+  addList(token) {
+    const items = [];
+    const groups = [];
+    this.collectListItems(token, 0, items, groups);
+
+    const listStartIndex = this.currentIndex;
+    let text = '';
+    for (const item of items) {
+      item.offset = text.length;
+      text += '\t'.repeat(item.level) + item.text + '\n';
+    }
+
+    // Insert text
+    this.insertText(text, listStartIndex, items.map(item => item.tokens));
+    this.applyBaseStyle(listStartIndex, listStartIndex + text.length - 1);
+
+    // Apply inline formatting while the leading tabs are still present
+    for (const item of items) {
+      const itemStart = listStartIndex + item.offset + item.level;
+      this.applyInlineFormatting(item.tokens, itemStart);
+
+      // The API cannot tick a checkbox, so completed tasks are struck through
+      if (item.checked && item.text.length > 0) {
+        this.requests.push({
+          updateTextStyle: {
+            range: {
+              startIndex: itemStart,
+              endIndex: itemStart + item.text.length
+            },
+            textStyle: {
+              strikethrough: true
+            },
+            fields: 'strikethrough'
+          }
+        });
+      }
+    }
+
+    this.currentIndex += text.length;
+
+    // Apply list formatting (consumes the leading tabs)
+    this.requests.push({
+      createParagraphBullets: {
+        range: {
+          startIndex: listStartIndex,
+          endIndex: this.currentIndex - 1
+        },
+        bulletPreset: this.getBulletPreset(groups[0])
+      }
+    });
+
+    let tabCount = 0;
+    for (const item of items) {
+      item.startIndex = listStartIndex + item.offset - tabCount;
+      tabCount += item.level;
+    }
+    this.currentIndex -= tabCount;
+
+    // Re-bullet nested lists of a different kind, restoring their tabs first
+    for (const group of groups.slice(1)) {
+      const groupItems = items.slice(group.first, group.last + 1);
+      let groupTabs = 0;
+
+      for (const item of [...groupItems].reverse()) {
+        groupTabs += item.level;
+        this.requests.push({
+          insertText: {
+            location: { index: item.startIndex },
+            text: '\t'.repeat(item.level)
+          }
+        });
+      }
+
+      const lastItem = groupItems[groupItems.length - 1];
       this.requests.push({
         createParagraphBullets: {
           range: {
-            startIndex: startIndex,
-            endIndex: this.currentIndex - 1
+            startIndex: groupItems[0].startIndex,
+            endIndex: lastItem.startIndex + lastItem.text.length + groupTabs
           },
-          bulletPreset: isOrdered ? 'NUMBERED_DECIMAL_ALPHA_ROMAN' : 'BULLET_DISC_CIRCLE_SQUARE'
+          bulletPreset: this.getBulletPreset(group)
         }
       });
+    }
+
+    // Inside a blockquote, shift Docs' default bullet indentation by the quote indent
+    if (this.blockquoteDepth > 0) {
+      const quoteIndent = this.theme.quote.indent * this.blockquoteDepth;
+
+      for (const item of items) {
+        this.requests.push({
+          updateParagraphStyle: {
+            range: {
+              startIndex: item.startIndex,
+              endIndex: item.startIndex + item.text.length
+            },
+            paragraphStyle: {
+              indentStart: { magnitude: quoteIndent + 36 * (item.level + 1), unit: 'PT' },
+              indentFirstLine: { magnitude: quoteIndent + 18 + 36 * item.level, unit: 'PT' }
+            },
+            fields: 'indentStart,indentFirstLine'
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Flatten a list token into items with nesting levels
+   * A new group starts whenever a nested list switches kind (ordered, unordered, task)
+   */
+  collectListItems(list, level, items, groups, parentKind) {
+    const kind = this.getListKind(list);
+    const group = { kind: kind, first: items.length, last: items.length };
+    if (kind !== parentKind) {
+      groups.push(group);
+    }
+
+    for (const item of list.items) {
+      const inlineTokens = item.tokens.filter(t => t.type !== 'list' && t.type !== 'space');
+      items.push({
+        level: level,
+        tokens: inlineTokens,
+        text: this.extractPlainText(inlineTokens),
+        checked: item.task && item.checked
+      });
+
+      for (const child of item.tokens) {
+        if (child.type === 'list') {
+          this.collectListItems(child, level + 1, items, groups, kind);
+        }
+      }
+    }
+
+    group.last = items.length - 1;
+  }
 
-      // Apply inline formatting
-      this.applyInlineFormatting(item.tokens, startIndex);
+  getListKind(list) {
+    if (list.items.some(item => item.task)) {
+      return 'task';
     }
+    return list.ordered ? 'ordered' : 'unordered';
   }
 
+  getBulletPreset(group) {
+    switch (group.kind) {
+      case 'task':
+        return this.theme.lists.task;
+      case 'ordered':
+        return this.theme.lists.ordered;
+      default:
+        return this.theme.lists.unordered;
+    }
+  }
+
+  /**
+   * Insert a fenced code block as a bordered, shaded run of paragraphs
+   * Adjacent paragraphs with identical borders render as a single box in Docs.
+   * Known languages get per-token foreground colors (see syntax-highlight.js).
+   */
   addCodeBlock(token) {
+    if (this.codeCaptions && token.lang) {
+      this.addCodeCaption(getLanguageName(token.lang));
+    }
+
     const text = token.text + '\n\n';
     const startIndex = this.currentIndex;
 
@@ -163,52 +550,309 @@ class MarkdownToDocsConverter {
 
     this.currentIndex += text.length;
 
-    // Apply monospace font and light gray background
+    // Empty block: only the trailing paragraphs were inserted
+    if (token.text.length === 0) {
+      return;
+    }
+
+    const codeRange = {
+      startIndex: startIndex,
+      endIndex: this.currentIndex - 2
+    };
+
+    // Apply monospace font
     this.requests.push({
       updateTextStyle: {
-        range: {
-          startIndex: startIndex,
-          endIndex: this.currentIndex - 2
-        },
+        range: codeRange,
         textStyle: {
           weightedFontFamily: {
-            fontFamily: 'Courier New'
+            fontFamily: this.theme.code.font
           },
           fontSize: {
-            magnitude: 10,
+            magnitude: this.theme.code.fontSize,
             unit: 'PT'
+          }
+        },
+        fields: 'weightedFontFamily,fontSize'
+      }
+    });
+
+    // Box the block: light gray shading with a thin border on every side
+    const border = {
+      color: { color: { rgbColor: parseColor(this.theme.code.border) } },
+      width: { magnitude: 0.75, unit: 'PT' },
+      padding: { magnitude: 6, unit: 'PT' },
+      dashStyle: 'SOLID'
+    };
+
+    this.requests.push({
+      updateParagraphStyle: {
+        range: codeRange,
+        paragraphStyle: {
+          shading: { backgroundColor: { color: { rgbColor: parseColor(this.theme.code.background) } } },
+          borderTop: border,
+          borderBottom: border,
+          borderLeft: border,
+          borderRight: border,
+          spaceAbove: { magnitude: 0, unit: 'PT' },
+          spaceBelow: { magnitude: 0, unit: 'PT' },
+          lineSpacing: 100
+        },
+        fields: 'shading,borderTop,borderBottom,borderLeft,borderRight,spaceAbove,spaceBelow,lineSpacing'
+      }
+    });
+
+    for (const span of highlight(token.text, token.lang)) {
+      const color = this.theme.code.syntax[span.type];
+      if (!color) continue;
+
+      this.requests.push({
+        updateTextStyle: {
+          range: {
+            startIndex: startIndex + span.start,
+            endIndex: startIndex + span.end
           },
-          backgroundColor: {
-            color: {
-              rgbColor: {
-                red: 0.95,
-                green: 0.95,
-                blue: 0.95
-              }
+          textStyle: {
+            foregroundColor: { color: { rgbColor: parseColor(color) } }
+          },
+          fields: 'foregroundColor'
+        }
+      });
+    }
+  }
+
+  /**
+   * Small grey label above a code block naming its language
+   */
+  addCodeCaption(label) {
+    const text = label + '\n';
+    const startIndex = this.currentIndex;
+
+    this.requests.push({
+      insertText: {
+        location: { index: startIndex },
+        text: text
+      }
+    });
+
+    this.currentIndex += text.length;
+
+    this.requests.push({
+      updateTextStyle: {
+        range: {
+          startIndex: startIndex,
+          endIndex: this.currentIndex - 1
+        },
+        textStyle: {
+          bold: true,
+          fontSize: { magnitude: 8, unit: 'PT' },
+          foregroundColor: { color: { rgbColor: parseColor(this.theme.code.captionColor) } }
+        },
+        fields: 'bold,fontSize,foregroundColor'
+      }
+    });
+
+    this.requests.push({
+      updateParagraphStyle: {
+        range: {
+          startIndex: startIndex,
+          endIndex: this.currentIndex - 1
+        },
+        paragraphStyle: {
+          spaceBelow: { magnitude: 2, unit: 'PT' }
+        },
+        fields: 'spaceBelow'
+      }
+    });
+  }
+
+  /**
+   * Render a blockquote as indented, left-bordered, italic grey paragraphs
+   * Nested quotes indent one more step; lists keep their bullet indentation
+   * shifted by the quote indent (see addList).
+   */
+  addBlockquote(token) {
+    this.blockquoteDepth++;
+    const quote = this.theme.quote;
+    const indent = quote.indent * this.blockquoteDepth;
+
+    for (const child of token.tokens) {
+      const startIndex = this.currentIndex;
+      this.processToken(child);
+
+      // Nested quotes style their own paragraphs
+      if (child.type === 'blockquote' || this.currentIndex === startIndex) {
+        continue;
+      }
+
+      const range = {
+        startIndex: startIndex,
+        endIndex: this.currentIndex - 1
+      };
+
+      const paragraphStyle = {
+        borderLeft: {
+          color: { color: { rgbColor: parseColor(quote.border) } },
+          width: { magnitude: 3, unit: 'PT' },
+          padding: { magnitude: 8, unit: 'PT' },
+          dashStyle: 'SOLID'
+        }
+      };
+      let fields = 'borderLeft';
+
+      if (child.type !== 'list') {
+        paragraphStyle.indentStart = { magnitude: indent, unit: 'PT' };
+        paragraphStyle.indentFirstLine = { magnitude: indent, unit: 'PT' };
+        fields += ',indentStart,indentFirstLine';
+      }
+
+      this.requests.push({
+        updateParagraphStyle: {
+          range: range,
+          paragraphStyle: paragraphStyle,
+          fields: fields
+        }
+      });
+
+      this.requests.push({
+        updateTextStyle: {
+          range: range,
+          textStyle: {
+            italic: quote.italic,
+            foregroundColor: { color: { rgbColor: parseColor(quote.color) } }
+          },
+          fields: 'italic,foregroundColor'
+        }
+      });
+    }
+
+    this.blockquoteDepth--;
+  }
+
+  /**
+   * Expand [TOC] into an indented outline of the document's headings
+   * Entries link to `#slug`, resolved to heading IDs after the content is written.
+   */
+  addTableOfContents() {
+    const outline = buildOutline(this.headings);
+
+    const addEntries = (nodes, depth) => {
+      for (const node of nodes) {
+        const text = node.title + '\n';
+        const startIndex = this.currentIndex;
+
+        this.requests.push({
+          insertText: {
+            location: { index: startIndex },
+            text: text
+          }
+        });
+
+        this.currentIndex += text.length;
+        this.applyBaseStyle(startIndex, this.currentIndex - 1);
+
+        this.requests.push({
+          updateParagraphStyle: {
+            range: {
+              startIndex: startIndex,
+              endIndex: this.currentIndex - 1
+            },
+            paragraphStyle: {
+              indentStart: { magnitude: TOC_INDENT_PT * depth, unit: 'PT' },
+              indentFirstLine: { magnitude: TOC_INDENT_PT * depth, unit: 'PT' },
+              spaceAbove: { magnitude: 0, unit: 'PT' },
+              spaceBelow: { magnitude: 2, unit: 'PT' }
+            },
+            fields: 'indentStart,indentFirstLine,spaceAbove,spaceBelow'
+          }
+        });
+
+        if (node.title.length > 0) {
+          this.anchorLinks.push(node.slug);
+          this.requests.push({
+            updateTextStyle: {
+              range: {
+                startIndex: startIndex,
+                endIndex: this.currentIndex - 1
+              },
+              textStyle: {
+                link: { url: '#' + node.slug }
+              },
+              fields: 'link'
             }
+          });
+        }
+
+        addEntries(node.children, depth + 1);
+      }
+    };
+
+    addEntries(outline, 0);
+  }
+
+  /**
+   * Docs has no horizontal rule element, so draw one as an empty
+   * paragraph with a bottom border
+   */
+  addHorizontalRule() {
+    const startIndex = this.currentIndex;
+
+    this.requests.push({
+      insertText: {
+        location: { index: startIndex },
+        text: '\n'
+      }
+    });
+
+    this.currentIndex += 1;
+
+    this.requests.push({
+      updateParagraphStyle: {
+        range: {
+          startIndex: startIndex,
+          endIndex: this.currentIndex
+        },
+        paragraphStyle: {
+          borderBottom: {
+            color: { color: { rgbColor: parseColor(this.theme.rule.color) } },
+            width: { magnitude: 1, unit: 'PT' },
+            padding: { magnitude: 4, unit: 'PT' },
+            dashStyle: 'SOLID'
           }
         },
-        fields: 'weightedFontFamily,fontSize,backgroundColor'
+        fields: 'borderBottom'
       }
     });
   }
 
+  addPageBreak() {
+    this.requests.push({
+      insertPageBreak: {
+        location: { index: this.currentIndex }
+      }
+    });
+
+    // Page break element plus the newline Docs inserts after it
+    this.currentIndex += 2;
+  }
+
   addTable(token) {
     const rows = token.rows.length + 1; // +1 for header
     const cols = token.header.length;
     const tableStartIndex = this.currentIndex;
 
-    // Insert a placeholder paragraph that will be replaced with table
-    const placeholder = `[TABLE:${rows}x${cols}]\n`;
+    // The table goes into an empty paragraph once the content is in place
     this.requests.push({
       insertText: {
         location: { index: tableStartIndex },
-        text: placeholder
+        text: '\n'
       }
     });
-    this.currentIndex += placeholder.length;
+    this.currentIndex += 1;
+
+    const { headerBold, ...tableStyle } = this.getTableTheme();
 
-    // Collect cell data for later population
+    // Collect cell data (text plus inline formatting runs)
     const cellData = [];
 
     // Header cells (bold)
@@ -216,8 +860,9 @@ class MarkdownToDocsConverter {
       cellData.push({
         row: 0,
         col: col,
-        text: this.extractPlainText(token.header[col].tokens),
-        bold: true
+        ...this.extractStyledText(token.header[col].tokens),
+        bold: headerBold,
+        align: token.align[col]
       });
     }
 
@@ -227,46 +872,289 @@ class MarkdownToDocsConverter {
         cellData.push({
           row: row + 1,
           col: col,
-          text: this.extractPlainText(token.rows[row][col].tokens),
-          bold: false
+          ...this.extractStyledText(token.rows[row][col].tokens),
+          bold: false,
+          align: token.align[col]
         });
       }
     }
 
-    // Store table metadata for later insertion and population
     this.tables.push({
-      placeholderIndex: tableStartIndex,
-      placeholderLength: placeholder.length,
+      index: tableStartIndex,
       rows: rows,
       cols: cols,
-      cellData: cellData
+      cellData: cellData,
+      ...tableStyle
     });
+  }
 
-    // Queue table insertion request (will be applied after placeholder is removed)
-    this.tableInsertRequests.push({
-      placeholderIndex: tableStartIndex,
-      placeholderLength: placeholder.length,
-      rows: rows,
-      cols: cols
+  /**
+   * Styling of every table this converter creates (see createTableRequests)
+   * @returns {Object} { baseStyle, headerBold, headerBackground, pinHeader }
+   */
+  getTableTheme() {
+    return {
+      baseStyle: this.getTableCellStyle(),
+      headerBold: this.theme.table.headerBold,
+      headerBackground: this.tableHeaderBackground,
+      pinHeader: this.pinTableHeader
+    };
+  }
+
+  /**
+   * Base style from the theme's body settings, overridden by front matter
+   */
+  getThemedBaseStyle(frontMatter) {
+    const body = {};
+    for (const [key, value] of Object.entries(this.theme.body)) {
+      if (value !== null && value !== undefined) {
+        body[key] = value;
+      }
+    }
+
+    return getBaseStyle({ ...body, ...frontMatter });
+  }
+
+  /**
+   * Base style for table cells: the document base style plus the theme's table font
+   */
+  getTableCellStyle() {
+    const table = this.theme.table;
+    const textStyle = { ...this.baseStyle.textStyle };
+    const fields = [...this.baseStyle.fields];
+
+    if (table.font) {
+      textStyle.weightedFontFamily = { fontFamily: table.font };
+      if (!fields.includes('weightedFontFamily')) fields.push('weightedFontFamily');
+    }
+
+    if (table.fontSize) {
+      textStyle.fontSize = { magnitude: table.fontSize, unit: 'PT' };
+      if (!fields.includes('fontSize')) fields.push('fontSize');
+    }
+
+    return { ...this.baseStyle, textStyle: textStyle, fields: fields };
+  }
+
+  /**
+   * Apply the default font and line spacing from front matter to a new block
+   * The Docs API has no request that changes named styles, so the base style
+   * can't be set once on NORMAL_TEXT; each block gets it as it is written.
+   */
+  applyBaseStyle(startIndex, endIndex) {
+    if (endIndex <= startIndex) return;
+
+    const fields = this.baseStyle.fields;
+
+    if (fields.length > 0) {
+      this.requests.push({
+        updateTextStyle: {
+          range: {
+            startIndex: startIndex,
+            endIndex: endIndex
+          },
+          textStyle: this.baseStyle.textStyle,
+          fields: fields.join(',')
+        }
+      });
+    }
+
+    if (this.baseStyle.lineSpacing) {
+      this.requests.push({
+        updateParagraphStyle: {
+          range: {
+            startIndex: startIndex,
+            endIndex: endIndex
+          },
+          paragraphStyle: {
+            lineSpacing: this.baseStyle.lineSpacing
+          },
+          fields: 'lineSpacing'
+        }
+      });
+    }
+  }
+
+  /**
+   * Insert text whose INLINE_OBJECT placeholders are replaced by inline objects
+   * The text goes in without placeholders, then each image or footnote
+   * reference is inserted in ascending order so every placeholder position
+   * is correct when reached.
+   * @param {string} text - Text as produced by extractPlainText
+   * @param {number} index - Insertion index
+   * @param {Array} tokenLists - Inline token arrays the text was extracted from
+   */
+  insertText(text, index, tokenLists) {
+    this.requests.push({
+      insertText: {
+        location: { index: index },
+        text: text.split(INLINE_OBJECT).join('')
+      }
+    });
+
+    const objects = [];
+    for (const tokens of tokenLists) {
+      this.collectInlineObjects(tokens, objects);
+    }
+
+    let position = text.indexOf(INLINE_OBJECT);
+    for (const object of objects) {
+      if (object.type === 'image') {
+        this.addInlineImage(object, index + position);
+      } else {
+        this.addFootnoteReference(object, index + position);
+      }
+      position = text.indexOf(INLINE_OBJECT, position + 1);
+    }
+  }
+
+  addInlineImage(token, index) {
+    const request = {
+      insertInlineImage: {
+        location: { index: index },
+        uri: token.href
+      }
+    };
+
+    const size = token.attributes || {};
+    if (size.width || size.height) {
+      request.insertInlineImage.objectSize = {};
+      if (size.width) {
+        request.insertInlineImage.objectSize.width = { magnitude: size.width, unit: 'PT' };
+      }
+      if (size.height) {
+        request.insertInlineImage.objectSize.height = { magnitude: size.height, unit: 'PT' };
+      }
+    }
+
+    this.requests.push(request);
+
+    // The Docs API has no alt text field on insert, so it travels with the metadata
+    this.images.push({
+      src: token.href,
+      alt: token.text,
+      title: token.title || null,
+      request: request
+    });
+  }
+
+  /**
+   * Create a footnote at the reference position
+   * The footnote body can only be written once the API returns the new
+   * footnote's segment ID, so it is queued in this.footnotes.
+   */
+  addFootnoteReference(token, index) {
+    const request = {
+      createFootnote: {
+        location: { index: index }
+      }
+    };
+
+    this.requests.push(request);
+
+    this.footnotes.push({
+      id: token.id,
+      request: request,
+      ...this.extractStyledText(this.footnoteDefinitions[token.id].tokens)
     });
   }
 
+  /**
+   * Collect inline object tokens in the same order extractPlainText emits their placeholders
+   */
+  collectInlineObjects(tokens, objects) {
+    if (!tokens) return objects;
+
+    for (const token of tokens) {
+      if (token.type === 'image' || this.isFootnoteReference(token)) {
+        objects.push(token);
+      } else if (token.tokens) {
+        this.collectInlineObjects(token.tokens, objects);
+      }
+    }
+    return objects;
+  }
+
+  isFootnoteReference(token) {
+    return token.type === 'footnoteRef' && Boolean(this.footnoteDefinitions[token.id]);
+  }
+
+  /**
+   * Move `{width=300 height=200}` hints that follow an image onto the image token
+   * Values are pixels unless suffixed with `pt`.
+   */
+  attachImageAttributes(tokens) {
+    if (!tokens) return;
+
+    tokens.forEach((token, i) => {
+      const next = tokens[i + 1];
+
+      if (token.type === 'image' && next && next.type === 'text') {
+        const match = IMAGE_ATTRIBUTES_PATTERN.exec(next.text);
+        if (match) {
+          token.attributes = {};
+          for (const pair of match[1].trim().split(/\s+/)) {
+            const [key, value] = pair.split('=');
+            const size = /^(\d+(?:\.\d+)?)(px|pt)?$/i.exec(value || '');
+            if ((key === 'width' || key === 'height') && size) {
+              const magnitude = parseFloat(size[1]);
+              token.attributes[key] = size[2] && size[2].toLowerCase() === 'pt' ? magnitude : magnitude * 0.75;
+            }
+          }
+          next.text = next.text.slice(match[0].length);
+          next.raw = next.raw.slice(match[0].length);
+        }
+      }
+
+      this.attachImageAttributes(token.tokens);
+      if (token.items) {
+        token.items.forEach(item => this.attachImageAttributes(item.tokens));
+      }
+    });
+  }
+
+  /**
+   * Text plus its inline formatting runs, relative to the text start
+   * Used for table cells and footnotes, which are populated separately from
+   * the content requests; inline objects are dropped and the runs shifted
+   * to match.
+   * @returns {Object} { text, styles: Array of updateTextStyle bodies }
+   */
+  extractStyledText(tokens) {
+    const text = this.extractPlainText(tokens);
+
+    const contentRequests = this.requests;
+    this.requests = [];
+    this.applyInlineFormatting(tokens, 0);
+    const runs = this.requests.filter(req => req.updateTextStyle);
+    this.requests = contentRequests;
+
+    // Map offsets in text-with-objects to offsets in the final cell text
+    const objectsBefore = (offset) => text.slice(0, offset).split(INLINE_OBJECT).length - 1;
+    const styles = [];
+    for (const { updateTextStyle } of runs) {
+      const startIndex = updateTextStyle.range.startIndex - objectsBefore(updateTextStyle.range.startIndex);
+      const endIndex = updateTextStyle.range.endIndex - objectsBefore(updateTextStyle.range.endIndex);
+      if (endIndex > startIndex) {
+        styles.push({ ...updateTextStyle, range: { startIndex, endIndex } });
+      }
+    }
+
+    return {
+      text: text.split(INLINE_OBJECT).join(''),
+      styles: styles
+    };
+  }
+
   applyInlineFormatting(tokens, startOffset) {
     if (!tokens) return;
 
     let currentOffset = 0;
+    const openTags = []; // Inline HTML tags arrive as separate open/close tokens
 
     for (const token of tokens) {
       // Calculate actual text length by extracting it (handles nested tokens correctly)
-      let length;
-      if (token.type === 'strong' || token.type === 'em' || token.type === 'link') {
-        // For formatting tokens, extract text from children to get accurate length
-        length = this.extractPlainText(token.tokens).length;
-      } else if (token.type === 'text' || token.type === 'codespan') {
-        length = token.text ? token.text.length : 0;
-      } else {
-        length = 0;
-      }
+      const length = this.extractPlainText([token]).length;
 
       const tokenStart = startOffset + currentOffset;
       const tokenEnd = tokenStart + length;
@@ -298,6 +1186,11 @@ class MarkdownToDocsConverter {
           }
         });
       } else if (token.type === 'link') {
+        // `#slug` links are pointed at heading IDs once the document exists
+        if (token.href.startsWith('#')) {
+          this.anchorLinks.push(token.href.slice(1));
+        }
+
         this.requests.push({
           updateTextStyle: {
             range: {
@@ -312,6 +1205,43 @@ class MarkdownToDocsConverter {
             fields: 'link'
           }
         });
+      } else if (token.type === 'del') {
+        this.requests.push({
+          updateTextStyle: {
+            range: {
+              startIndex: tokenStart,
+              endIndex: tokenEnd
+            },
+            textStyle: {
+              strikethrough: true
+            },
+            fields: 'strikethrough'
+          }
+        });
+      } else if (token.type === 'html') {
+        const tag = HTML_TAG_PATTERN.exec(token.text.trim());
+        const style = tag && INLINE_HTML_STYLES[tag[2].toLowerCase()];
+
+        if (style && !tag[1]) {
+          openTags.push({ name: tag[2].toLowerCase(), start: tokenStart });
+        } else if (style) {
+          const openIdx = openTags.map(t => t.name).lastIndexOf(tag[2].toLowerCase());
+          if (openIdx !== -1) {
+            const open = openTags.splice(openIdx, 1)[0];
+            if (tokenStart > open.start) {
+              this.requests.push({
+                updateTextStyle: {
+                  range: {
+                    startIndex: open.start,
+                    endIndex: tokenStart
+                  },
+                  textStyle: style.textStyle,
+                  fields: style.fields
+                }
+              });
+            }
+          }
+        }
       } else if (token.type === 'codespan') {
         this.requests.push({
           updateTextStyle: {
@@ -321,15 +1251,11 @@ class MarkdownToDocsConverter {
             },
             textStyle: {
               weightedFontFamily: {
-                fontFamily: 'Courier New'
+                fontFamily: this.theme.inlineCode.font
               },
               backgroundColor: {
                 color: {
-                  rgbColor: {
-                    red: 0.95,
-                    green: 0.95,
-                    blue: 0.95
-                  }
+                  rgbColor: parseColor(this.theme.inlineCode.background)
                 }
               }
             },
@@ -338,8 +1264,8 @@ class MarkdownToDocsConverter {
         });
       }
 
-      // Recursively process nested tokens
-      if (token.tokens && token.tokens.length > 0) {
+      // Recursively process nested tokens (an image's alt text is not in the document)
+      if (token.type !== 'image' && token.tokens && token.tokens.length > 0) {
         this.applyInlineFormatting(token.tokens, tokenStart);
       }
 
@@ -352,7 +1278,13 @@ class MarkdownToDocsConverter {
 
     let text = '';
     for (const token of tokens) {
-      if (token.type === 'strong' || token.type === 'em' || token.type === 'link') {
+      if (token.type === 'image' || this.isFootnoteReference(token)) {
+        // Images and footnote references occupy a single index once inserted
+        text += INLINE_OBJECT;
+      } else if (token.type === 'footnoteRef') {
+        // Reference without a definition stays literal
+        text += `[^${token.id}]`;
+      } else if (token.type === 'strong' || token.type === 'em' || token.type === 'link' || token.type === 'del') {
         // Formatting tokens - recursively extract from children
         text += this.extractPlainText(token.tokens);
       } else if (token.tokens && token.tokens.length > 0) {
@@ -360,11 +1292,20 @@ class MarkdownToDocsConverter {
         // Process children instead of using raw token.text
         text += this.extractPlainText(token.tokens);
       } else if (token.type === 'text' || token.type === 'codespan') {
-        text += token.text || '';
+        // Soft line breaks would split the paragraph in Docs
+        text += (token.text || '').replace(/\n/g, ' ');
+      } else if (token.type === 'br') {
+        text += LINE_BREAK;
+      } else if (token.type === 'html') {
+        // Inline tags only carry styling; <br> is the one that produces text
+        const tag = HTML_TAG_PATTERN.exec(token.text.trim());
+        if (tag && !tag[1] && tag[2].toLowerCase() === 'br') {
+          text += LINE_BREAK;
+        }
       } else if (token.type === 'space') {
         text += ' ';
       } else if (token.text) {
-        text += token.text;
+        text += token.text.replace(/\n/g, ' ');
       }
     }
     return text;
@@ -0,0 +1,249 @@
+/**
+ * Minimal regex-based syntax highlighter for fenced code blocks
+ *
+ * Produces character spans tagged with a token type (keyword, string,
+ * comment, ...). The converter maps those types to Docs text colors.
+ */
+
+const JS_KEYWORDS = [
+  'abstract', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'debugger', 'declare', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends',
+  'finally', 'for', 'from', 'function', 'get', 'if', 'implements', 'import', 'in', 'instanceof',
+  'interface', 'keyof', 'let', 'namespace', 'new', 'of', 'private', 'protected', 'public',
+  'readonly', 'return', 'set', 'static', 'super', 'switch', 'throw', 'try', 'type', 'typeof',
+  'var', 'void', 'while', 'with', 'yield'
+];
+
+const PYTHON_KEYWORDS = [
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+  'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+  'match', 'case', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+];
+
+const SHELL_KEYWORDS = [
+  'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac',
+  'in', 'function', 'return', 'export', 'local', 'readonly', 'source', 'exit'
+];
+
+const SQL_KEYWORDS = [
+  'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set',
+  'delete', 'create', 'table', 'index', 'view', 'drop', 'alter', 'add', 'column', 'primary',
+  'key', 'foreign', 'references', 'join', 'inner', 'left', 'right', 'outer', 'full', 'cross',
+  'on', 'as', 'group', 'by', 'order', 'having', 'limit', 'offset', 'distinct', 'union', 'all',
+  'case', 'when', 'then', 'else', 'end', 'in', 'is', 'like', 'between', 'exists', 'asc', 'desc',
+  'with', 'default', 'unique', 'constraint', 'returning'
+];
+
+const GO_KEYWORDS = [
+  'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough',
+  'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range',
+  'return', 'select', 'struct', 'switch', 'type', 'var'
+];
+
+const GO_TYPES = [
+  'bool', 'byte', 'complex64', 'complex128', 'error', 'float32', 'float64', 'int', 'int8',
+  'int16', 'int32', 'int64', 'rune', 'string', 'uint', 'uint8', 'uint16', 'uint32', 'uint64',
+  'uintptr', 'any'
+];
+
+function words(list, flags = '') {
+  return new RegExp(`\\b(?:${list.join('|')})\\b`, 'y' + flags);
+}
+
+const NUMBER = /\b(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/y;
+const DOUBLE_QUOTED = /"(?:\\.|[^"\\\n])*"/y;
+const SINGLE_QUOTED = /'(?:\\.|[^'\\\n])*'/y;
+const C_LINE_COMMENT = /\/\/.*/y;
+const C_BLOCK_COMMENT = /\/\*[\s\S]*?\*\//y;
+const HASH_COMMENT = /(?<![^\s])#.*/y;
+
+// Rules are tried in order at every position; the first match wins
+const LANGUAGES = {
+  javascript: {
+    name: 'JavaScript',
+    rules: [
+      ['comment', C_LINE_COMMENT],
+      ['comment', C_BLOCK_COMMENT],
+      ['string', DOUBLE_QUOTED],
+      ['string', SINGLE_QUOTED],
+      ['string', /`(?:\\.|[^`\\])*`/y],
+      ['keyword', words(JS_KEYWORDS)],
+      ['literal', words(['true', 'false', 'null', 'undefined', 'this', 'NaN', 'Infinity'])],
+      ['number', NUMBER]
+    ]
+  },
+  typescript: {
+    name: 'TypeScript',
+    rules: [
+      ['comment', C_LINE_COMMENT],
+      ['comment', C_BLOCK_COMMENT],
+      ['string', DOUBLE_QUOTED],
+      ['string', SINGLE_QUOTED],
+      ['string', /`(?:\\.|[^`\\])*`/y],
+      ['keyword', words(JS_KEYWORDS)],
+      ['literal', words(['true', 'false', 'null', 'undefined', 'this', 'NaN', 'Infinity'])],
+      ['type', words(['string', 'number', 'boolean', 'any', 'unknown', 'never', 'object', 'symbol', 'bigint'])],
+      ['number', NUMBER]
+    ]
+  },
+  python: {
+    name: 'Python',
+    rules: [
+      ['comment', HASH_COMMENT],
+      ['string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?''')/y],
+      ['string', /[rRbBuUfF]{0,2}(?:"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/y],
+      ['meta', /@[\w.]+/y],
+      ['keyword', words(PYTHON_KEYWORDS)],
+      ['literal', words(['True', 'False', 'None', 'self'])],
+      ['number', NUMBER]
+    ]
+  },
+  json: {
+    name: 'JSON',
+    rules: [
+      ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+      ['string', DOUBLE_QUOTED],
+      ['literal', words(['true', 'false', 'null'])],
+      ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y]
+    ]
+  },
+  yaml: {
+    name: 'YAML',
+    rules: [
+      ['comment', HASH_COMMENT],
+      ['meta', /^(?:---|\.\.\.)(?=\s|$)/my],
+      ['property', /[A-Za-z_][\w.-]*(?=[ \t]*:(?:\s|$))/y],
+      ['string', DOUBLE_QUOTED],
+      ['string', SINGLE_QUOTED],
+      ['variable', /[&*][\w-]+/y],
+      ['literal', words(['true', 'false', 'null', 'yes', 'no', 'on', 'off'], 'i')],
+      ['number', /-?\b\d+(?:\.\d+)?\b/y]
+    ]
+  },
+  shell: {
+    name: 'Shell',
+    rules: [
+      ['comment', HASH_COMMENT],
+      ['string', DOUBLE_QUOTED],
+      ['string', SINGLE_QUOTED],
+      ['variable', /\$\{[^}\n]*\}|\$[A-Za-z_]\w*|\$[0-9@#?$!*-]/y],
+      ['keyword', words(SHELL_KEYWORDS)],
+      ['number', /\b\d+\b/y]
+    ]
+  },
+  sql: {
+    name: 'SQL',
+    rules: [
+      ['comment', /--.*/y],
+      ['comment', C_BLOCK_COMMENT],
+      ['string', SINGLE_QUOTED],
+      ['property', DOUBLE_QUOTED],
+      ['keyword', words(SQL_KEYWORDS, 'i')],
+      ['literal', words(['null', 'true', 'false'], 'i')],
+      ['number', NUMBER]
+    ]
+  },
+  go: {
+    name: 'Go',
+    rules: [
+      ['comment', C_LINE_COMMENT],
+      ['comment', C_BLOCK_COMMENT],
+      ['string', DOUBLE_QUOTED],
+      ['string', /`[^`]*`/y],
+      ['string', SINGLE_QUOTED],
+      ['keyword', words(GO_KEYWORDS)],
+      ['type', words(GO_TYPES)],
+      ['literal', words(['true', 'false', 'nil', 'iota'])],
+      ['number', NUMBER]
+    ]
+  }
+};
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  python3: 'python',
+  jsonc: 'json',
+  yml: 'yaml',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  postgres: 'sql',
+  postgresql: 'sql',
+  mysql: 'sql',
+  golang: 'go'
+};
+
+/**
+ * Resolve a fence info string (e.g. "ts", "bash") to a supported language key
+ * @returns {string|null}
+ */
+function resolveLanguage(lang) {
+  if (!lang) return null;
+
+  const key = lang.trim().split(/\s+/)[0].toLowerCase();
+  if (LANGUAGES[key]) return key;
+  return ALIASES[key] || null;
+}
+
+/**
+ * Display name for a fence language, falling back to the info string itself
+ */
+function getLanguageName(lang) {
+  const key = resolveLanguage(lang);
+  if (key) return LANGUAGES[key].name;
+  return lang ? lang.trim().split(/\s+/)[0] : null;
+}
+
+/**
+ * Tokenize code into highlight spans
+ * @param {string} code - Source code
+ * @param {string} lang - Fence info string
+ * @returns {Array} Spans { start, end, type } in ascending order (empty for unknown languages)
+ */
+function highlight(code, lang) {
+  const key = resolveLanguage(lang);
+  if (!key) return [];
+
+  const rules = LANGUAGES[key].rules;
+  const spans = [];
+  let pos = 0;
+
+  while (pos < code.length) {
+    let matched = false;
+
+    for (const [type, pattern] of rules) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(code);
+      if (match && match[0].length > 0) {
+        spans.push({ start: pos, end: pos + match[0].length, type: type });
+        pos += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      // Skip whole identifiers so keywords never match inside them
+      const word = /[A-Za-z_$][\w$]*/y;
+      word.lastIndex = pos;
+      const match = word.exec(code);
+      pos += match ? match[0].length : 1;
+    }
+  }
+
+  return spans;
+}
+
+module.exports = {
+  highlight,
+  resolveLanguage,
+  getLanguageName
+};
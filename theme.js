@@ -0,0 +1,153 @@
+/**
+ * Styling theme for generated documents
+ *
+ * A theme is JSON, read from --theme <path> or ~/.gdoc/theme.json.
+ * Any subset of DEFAULT_THEME can be given; missing keys keep the defaults.
+ * Colors are hex strings ("#1a73e8"), sizes and spacing are points.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const DEFAULT_THEME_PATH = path.join(os.homedir(), '.gdoc', 'theme.json');
+
+const DEFAULT_THEME = {
+  // Paragraphs and lists; front matter (font, fontSize, lineSpacing, color) overrides these
+  body: {
+    font: null,
+    fontSize: null,
+    color: null,
+    lineSpacing: null
+  },
+  // font/color apply to every level; h1..h6 may set fontSize, color, bold, spaceAbove, spaceBelow
+  headings: {
+    font: null,
+    color: null,
+    h1: {},
+    h2: {},
+    h3: {},
+    h4: {},
+    h5: {},
+    h6: {}
+  },
+  code: {
+    font: 'Courier New',
+    fontSize: 10,
+    background: '#f2f2f2',
+    border: '#d9d9d9',
+    captionColor: '#666666',
+    syntax: {
+      keyword: '#d73a49',
+      string: '#032f62',
+      comment: '#6a737d',
+      number: '#005cc5',
+      literal: '#005cc5',
+      property: '#22863a',
+      type: '#6f42c1',
+      meta: '#6f42c1',
+      variable: '#e36209'
+    }
+  },
+  inlineCode: {
+    font: 'Courier New',
+    background: '#f2f2f2'
+  },
+  quote: {
+    color: '#666666',
+    border: '#666666',
+    indent: 36,
+    italic: true
+  },
+  table: {
+    font: null,
+    fontSize: null,
+    headerBackground: null,
+    headerBold: true,
+    pinHeader: false
+  },
+  lists: {
+    unordered: 'BULLET_DISC_CIRCLE_SQUARE',
+    ordered: 'NUMBERED_DECIMAL_ALPHA_ROMAN',
+    task: 'BULLET_CHECKBOX'
+  },
+  rule: {
+    color: '#bfbfbf'
+  }
+};
+
+/**
+ * Convert a hex color (#rgb or #rrggbb) to a Docs rgbColor
+ * Objects already in { red, green, blue } form are returned unchanged.
+ */
+function parseColor(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+
+  const hex = String(value).replace(/^#/, '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+
+  if (!/^[0-9a-fA-F]{6}$/.test(full)) {
+    throw new Error(`Invalid color: ${value}`);
+  }
+
+  return {
+    red: parseInt(full.slice(0, 2), 16) / 255,
+    green: parseInt(full.slice(2, 4), 16) / 255,
+    blue: parseInt(full.slice(4, 6), 16) / 255
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeDeep(base, overrides) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeDeep(base[key], value)
+      : value;
+  }
+
+  return result;
+}
+
+/**
+ * Merge a partial theme over the defaults
+ */
+function resolveTheme(theme) {
+  return mergeDeep(DEFAULT_THEME, theme);
+}
+
+/**
+ * Read a theme file
+ * @param {string} themePath - Explicit path; falls back to ~/.gdoc/theme.json when it exists
+ * @returns {Object} Partial theme ({} when none is configured)
+ */
+function loadTheme(themePath) {
+  const filePath = themePath ? path.resolve(themePath) : DEFAULT_THEME_PATH;
+
+  if (!fs.existsSync(filePath)) {
+    if (themePath) {
+      throw new Error(`Theme not found: ${filePath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid theme ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  DEFAULT_THEME_PATH,
+  parseColor,
+  resolveTheme,
+  loadTheme
+};